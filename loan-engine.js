@@ -0,0 +1,1862 @@
+/**
+ * Loan & SIP calculation engine
+ *
+ * Pure functions with no DOM access, shared by the web app and usable from
+ * other tools and tests:
+ * - Browser: <script src="loan-engine.js"></script> exposes window.LoanEngine
+ * - CommonJS: const LoanEngine = require('./loan-engine.js')
+ * - ES modules (Node and browsers): import LoanEngine, { calculateEMI } from './loan-engine.mjs'
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LoanEngine = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ============================================
+    // LOAN MATH
+    // ============================================
+
+    // Balances below one paisa count as closed, so float noise never adds a month
+    const CLOSING_TOLERANCE = 0.01;
+
+    // Longest loan we follow month by month (50 years), in schedules and calculateMonthsToClose
+    const MAX_SCHEDULE_MONTHS = 600;
+
+    /**
+     * How lenders compute interest:
+     * - monthly: monthly rest, the balance times a twelfth of the annual rate
+     * - daily: daily reducing, the balance times the annual rate for the actual days (Act/365)
+     * - annual: annual rest, interest on the balance as it stood at the start of the loan year
+     */
+    const INTEREST_METHODS = ['monthly', 'daily', 'annual'];
+
+    /**
+     * Calculate monthly EMI using the formula:
+     * EMI = P × [R(1+R)^N] / [(1+R)^N - 1]
+     * Where P = Principal, R = Monthly Interest Rate, N = Number of Months
+     *
+     * Annual rest applies the same formula per year and spreads the yearly
+     * instalment over 12 EMIs. Daily reducing interest adds up to the annual
+     * rate over a year, so it shares the monthly rest EMI.
+     */
+    function calculateEMI(principal, annualRate, years, interestMethod) {
+        if (principal <= 0 || annualRate < 0 || years <= 0) {
+            return 0;
+        }
+
+        if (interestMethod === 'annual' && annualRate > 0) {
+            const yearlyRate = annualRate / 100;
+            const yearlyInstalment = (principal * yearlyRate * Math.pow(1 + yearlyRate, years)) /
+                (Math.pow(1 + yearlyRate, years) - 1);
+            return isFinite(yearlyInstalment) ? yearlyInstalment / 12 : 0;
+        }
+
+        const monthlyRate = annualRate / 100 / 12;
+        const numberOfMonths = years * 12;
+
+        if (monthlyRate === 0) {
+            return principal / numberOfMonths;
+        }
+
+        const emi = (principal * monthlyRate * Math.pow(1 + monthlyRate, numberOfMonths)) /
+            (Math.pow(1 + monthlyRate, numberOfMonths) - 1);
+
+        return isFinite(emi) ? emi : 0;
+    }
+
+    /**
+     * Rounding policies look like { emi: 'exact' | 'up' | 'down' | 'nearest', precision: 'paisa' | 'rupee' }
+     * - emi: banks round the EMI up or down to the rupee and settle the difference in the final EMI
+     * - precision: amounts in the schedule are kept to the paisa or to the whole rupee
+     */
+    const EMI_ROUNDING_RULES = ['exact', 'up', 'down', 'nearest'];
+
+    /**
+     * Round an amount to the policy's precision. Without a policy it keeps full precision.
+     */
+    function roundAmount(amount, rounding) {
+        if (!rounding) {
+            return amount;
+        }
+        return rounding.precision === 'rupee' ? Math.round(amount) : Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * Round an EMI the way the policy's lender does: up, down or to the nearest rupee,
+     * or just to the schedule's precision for 'exact'.
+     */
+    function roundEmi(emi, rounding) {
+        if (!rounding) {
+            return emi;
+        }
+
+        // Drop float noise first so an EMI of exactly 1000.00 is not rounded up to 1001
+        const paise = Math.round(emi * 100) / 100;
+        if (rounding.emi === 'up') {
+            return Math.ceil(paise);
+        }
+        if (rounding.emi === 'down') {
+            return Math.floor(paise);
+        }
+        if (rounding.emi === 'nearest') {
+            return Math.round(paise);
+        }
+        return roundAmount(emi, rounding);
+    }
+
+    /**
+     * Calculate total interest for a given EMI
+     */
+    function calculateTotalInterest(principal, emi, years) {
+        return (emi * years * 12) - principal;
+    }
+
+    /**
+     * Calculate remaining loan after given months
+     */
+    function calculateRemainingLoan(principal, monthlyRate, emi, months) {
+        if (monthlyRate === 0) {
+            return Math.max(0, principal - (emi * months));
+        }
+
+        let remaining = principal;
+        for (let i = 0; i < months; i++) {
+            const interest = remaining * monthlyRate;
+            remaining = remaining + interest - emi;
+            if (remaining <= 0) {
+                return 0;
+            }
+        }
+        return Math.max(0, remaining);
+    }
+
+    /**
+     * Calculate months to close a loan. Annual rest only lowers the balance that
+     * interest is charged on once a year; daily reducing follows monthly rest.
+     */
+    function calculateMonthsToClose(principal, monthlyRate, emi, interestMethod) {
+        if (emi <= 0 || principal <= 0) {
+            return 0;
+        }
+
+        if (monthlyRate === 0) {
+            return Math.ceil(principal / emi);
+        }
+
+        if (emi <= principal * monthlyRate) {
+            return Infinity; // EMI is not enough to cover interest
+        }
+
+        let months = 0;
+        let remaining = principal;
+        let interestBase = principal;
+
+        while (remaining > 0 && months < MAX_SCHEDULE_MONTHS) {
+            if (months % 12 === 0) {
+                interestBase = remaining;
+            }
+            const interest = (interestMethod === 'annual' ? interestBase : remaining) * monthlyRate;
+            remaining = remaining + interest - emi;
+            months++;
+
+            if (remaining < CLOSING_TOLERANCE) {
+                return months;
+            }
+        }
+
+        return months;
+    }
+
+    /**
+     * Total interest for a loan, following its floating rate revisions when it has any.
+     * options - schedule options placing the loan on the calendar (startDate, emiDueDay)
+     * and choosing its interest method (interestMethod) and rounding policy (rounding)
+     */
+    function calculateLoanInterest(principal, annualRate, years, emi, rateChanges, options = {}) {
+        const monthlyRest = !options.interestMethod || options.interestMethod === 'monthly';
+        if ((!rateChanges || rateChanges.length === 0) && monthlyRest && !options.rounding) {
+            return calculateTotalInterest(principal, emi, years);
+        }
+
+        const schedule = buildAmortizationSchedule(principal, emi, annualRate / 100 / 12, years * 12,
+            Object.assign({}, options, { rateChanges: rateChanges || [] }));
+        return summarizeSchedule(schedule).totalInterest;
+    }
+
+    // ============================================
+    // REVERSE SOLVERS
+    // ============================================
+
+    // Highest annual rate the rate solver searches up to
+    const MAX_SOLVED_RATE = 100;
+
+    /**
+     * Largest principal an EMI repays over `years`, inverting the EMI formula:
+     * P = EMI × [1 - (1+R)^-N] / R
+     * Throws a RangeError when the inputs cannot describe a loan.
+     */
+    function solvePrincipal(emi, annualRate, years, interestMethod) {
+        if (!(emi > 0) || !(annualRate >= 0) || !(years > 0)) {
+            throw new RangeError('EMI and tenure must be greater than 0 and the interest rate cannot be negative');
+        }
+
+        // Annual rest inverts the yearly instalment instead
+        const annual = interestMethod === 'annual';
+        const rate = annual ? annualRate / 100 : annualRate / 100 / 12;
+        const periods = annual ? years : years * 12;
+        const instalment = annual ? emi * 12 : emi;
+
+        if (rate === 0) {
+            return instalment * periods;
+        }
+
+        return instalment * (1 - Math.pow(1 + rate, -periods)) / rate;
+    }
+
+    /**
+     * Months needed to repay `principal` with a fixed EMI, inverting the EMI formula:
+     * N = -ln(1 - P × R / EMI) / ln(1 + R)
+     * The last EMI is usually smaller, so partial months round up. Unlike
+     * calculateMonthsToClose this has no MAX_SCHEDULE_MONTHS cap.
+     * Throws a RangeError when the EMI never repays the loan.
+     */
+    function solveTenure(principal, annualRate, emi, interestMethod) {
+        if (!(principal > 0) || !(emi > 0) || !(annualRate >= 0)) {
+            throw new RangeError('Principal and EMI must be greater than 0 and the interest rate cannot be negative');
+        }
+
+        const monthlyRate = annualRate / 100 / 12;
+        if (emi <= principal * monthlyRate) {
+            throw new RangeError('The EMI does not cover the monthly interest of ' +
+                (principal * monthlyRate).toFixed(2) + ', so the loan never closes');
+        }
+
+        let months;
+        if (monthlyRate === 0) {
+            months = principal / emi;
+        } else if (interestMethod === 'annual') {
+            const yearlyRate = annualRate / 100;
+            months = 12 * -Math.log(1 - principal * yearlyRate / (emi * 12)) / Math.log(1 + yearlyRate);
+        } else {
+            months = -Math.log(1 - principal * monthlyRate / emi) / Math.log(1 + monthlyRate);
+        }
+
+        // Float noise must not add a month to an exact tenure
+        return Math.ceil(months - 1e-6);
+    }
+
+    /**
+     * Annual rate at which `principal` over `years` has the given EMI - the rate a
+     * lender is really charging. The EMI rises with the rate, so bisection between
+     * 0% and MAX_SOLVED_RATE converges to within 0.00001%.
+     * Throws a RangeError when no rate in that range produces the EMI.
+     */
+    function solveInterestRate(principal, emi, years, interestMethod) {
+        if (!(principal > 0) || !(emi > 0) || !(years > 0)) {
+            throw new RangeError('Principal, EMI and tenure must be greater than 0');
+        }
+
+        const totalPaid = emi * years * 12;
+        if (totalPaid < principal - CLOSING_TOLERANCE) {
+            throw new RangeError('The EMIs add up to less than the principal, so no interest rate can produce them');
+        }
+        if (calculateEMI(principal, MAX_SOLVED_RATE, years, interestMethod) < emi) {
+            throw new RangeError('The EMI implies an interest rate above ' + MAX_SOLVED_RATE + '%');
+        }
+
+        let low = 0;
+        let high = MAX_SOLVED_RATE;
+        while (high - low > 0.00001) {
+            const mid = (low + high) / 2;
+            if (calculateEMI(principal, mid, years, interestMethod) < emi) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return (low + high) / 2;
+    }
+
+    // ============================================
+    // COST OF BORROWING
+    // ============================================
+
+    /**
+     * Annual rate (%) at which dated cash flows net to zero, counting days / 365 like a
+     * spreadsheet's XIRR. Flows are { date, amount }: money received is positive and
+     * money paid is negative. Bisection between -99% and 1000% converges to within 0.00001%.
+     * Throws a RangeError when the flows have no rate in that range.
+     */
+    function calculateXIRR(cashFlows) {
+        const first = cashFlows[0].date.getTime();
+        const presentValue = (rate) => cashFlows.reduce((sum, flow) =>
+            sum + flow.amount / Math.pow(1 + rate, (flow.date.getTime() - first) / DAY_MS / 365), 0);
+
+        let low = -0.99;
+        let high = 10;
+        const lowSign = Math.sign(presentValue(low));
+        if (lowSign === Math.sign(presentValue(high))) {
+            throw new RangeError('The cash flows have no effective rate between -99% and 1000%');
+        }
+
+        while (high - low > 0.0000001) {
+            const mid = (low + high) / 2;
+            if (Math.sign(presentValue(mid)) === lowSign) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return (low + high) / 2 * 100;
+    }
+
+    /**
+     * True cost of a new loan once its charges are counted.
+     * charges: { processingFeePercent, stampDuty, insurancePremium, insuranceFinanced, annualCharges }
+     * - the processing fee (% of the principal) and stamp duty are paid at disbursement
+     * - the insurance premium is paid at disbursement, or added to the loan when insuranceFinanced
+     * - annualCharges (maintenance) are paid with every 12th EMI
+     * options: schedule options (rateChanges, startDate, emiDueDay, interestMethod, brokenPeriod)
+     *
+     * effectiveRate is the XIRR of what you receive and pay, next to the nominal annualRate.
+     * Without charges it is still above the nominal rate, because EMIs are paid monthly.
+     */
+    function calculateBorrowingCost(principal, annualRate, totalMonths, charges = {}, options = {}) {
+        const premium = charges.insurancePremium || 0;
+        const loanAmount = principal + (charges.insuranceFinanced ? premium : 0);
+        const processingFee = principal * (charges.processingFeePercent || 0) / 100;
+        const stampDuty = charges.stampDuty || 0;
+        const upfrontCharges = processingFee + stampDuty + premium;
+        const annualCharges = charges.annualCharges || 0;
+
+        const emi = calculateEMI(loanAmount, annualRate, totalMonths / 12, options.interestMethod);
+        const schedule = buildAmortizationSchedule(loanAmount, emi, annualRate / 100 / 12, totalMonths, options);
+
+        // Disbursed a month before the first EMI, unless the loan dates say otherwise
+        const brokenPeriod = options.brokenPeriod;
+        const firstDate = schedule[0].date;
+        const disbursementDate = brokenPeriod ? brokenPeriod.disbursementDate :
+            getDueDate(firstDate.getFullYear(), firstDate.getMonth() - 1, options.emiDueDay || 1);
+        const brokenPeriodInterest = brokenPeriod ? brokenPeriod.brokenPeriodInterest : 0;
+
+        const cashFlows = [{
+            date: disbursementDate,
+            amount: principal - processingFee - stampDuty - (charges.insuranceFinanced ? 0 : premium)
+        }];
+        if (brokenPeriodInterest > 0) {
+            cashFlows.push({ date: brokenPeriod.cycleStartDate, amount: -brokenPeriodInterest });
+        }
+
+        let recurringCharges = 0;
+        schedule.forEach((row) => {
+            const charge = row.month % 12 === 0 ? annualCharges : 0;
+            recurringCharges += charge;
+            cashFlows.push({ date: row.date, amount: -(row.interest + row.principal + charge) });
+        });
+
+        const summary = summarizeSchedule(schedule);
+        const totalCharges = upfrontCharges + recurringCharges + brokenPeriodInterest;
+
+        return {
+            loanAmount: loanAmount,
+            emi: emi,
+            months: summary.months,
+            processingFee: processingFee,
+            upfrontCharges: upfrontCharges,
+            recurringCharges: recurringCharges,
+            totalInterest: summary.totalInterest,
+            totalCharges: totalCharges,
+            // Financed insurance is repaid through the EMIs, so it is counted once, as a charge
+            totalCost: summary.totalInterest + totalCharges,
+            nominalRate: annualRate,
+            effectiveRate: calculateXIRR(cashFlows)
+        };
+    }
+
+    // ============================================
+    // LOAN ELIGIBILITY
+    // ============================================
+
+    /**
+     * RBI loan-to-value slabs for home loans: the share of the property value a
+     * lender may fund, by loan amount
+     */
+    const RBI_LTV_SLABS = [
+        { upTo: 3000000, ratio: 0.9 },
+        { upTo: 7500000, ratio: 0.8 },
+        { upTo: Infinity, ratio: 0.75 }
+    ];
+
+    /**
+     * Largest loan the LTV slabs allow against a property. A slab applies to loans
+     * above the previous slab's limit, so the cap is the best loan any slab allows.
+     */
+    function getMaxLtvLoan(propertyValue, ltvSlabs) {
+        let lowerLimit = 0;
+        let maxLoan = 0;
+
+        ltvSlabs.forEach((slab) => {
+            const slabLoan = Math.min(propertyValue * slab.ratio, slab.upTo);
+            if (slabLoan > lowerLimit) {
+                maxLoan = Math.max(maxLoan, slabLoan);
+            }
+            lowerLimit = slab.upTo;
+        });
+
+        return maxLoan;
+    }
+
+    /**
+     * How much a lender will lend. applicant looks like
+     * { monthlyIncome, coApplicantIncome, existingEmis, foir, annualRate, age,
+     *   retirementAge, maxTenureYears, propertyValue, ltvSlabs, interestMethod }
+     * - foir: share of net monthly income (%) all EMIs may take, existing ones included
+     * - the tenure is the lender's cap or the years left to retirement, whichever is shorter
+     * - ltvSlabs default to RBI_LTV_SLABS; without a property value only income limits the loan
+     * The binding constraint is 'foir' (income) or 'ltv' (property value).
+     * Throws a RangeError when the applicant is not eligible for any loan.
+     */
+    function calculateLoanEligibility(applicant) {
+        const totalIncome = (applicant.monthlyIncome || 0) + (applicant.coApplicantIncome || 0);
+        const existingEmis = applicant.existingEmis || 0;
+        const interestMethod = applicant.interestMethod;
+
+        if (!(totalIncome > 0) || !(applicant.foir > 0) || !(applicant.annualRate >= 0)) {
+            throw new RangeError('Income and FOIR must be greater than 0 and the interest rate cannot be negative');
+        }
+
+        if (!(applicant.maxTenureYears >= 1)) {
+            throw new RangeError('The lender\'s maximum tenure must be at least 1 year');
+        }
+
+        const yearsToRetirement = Math.floor(applicant.retirementAge - applicant.age);
+        const tenureYears = Math.min(applicant.maxTenureYears, yearsToRetirement);
+        if (!(tenureYears >= 1)) {
+            throw new RangeError('The applicant is less than a year from the retirement age, so no tenure is available');
+        }
+
+        const maxObligations = totalIncome * applicant.foir / 100;
+        const availableEmi = maxObligations - existingEmis;
+        if (availableEmi <= 0) {
+            throw new RangeError('Existing EMIs already use the whole FOIR limit of ' +
+                Math.round(maxObligations) + ' a month');
+        }
+
+        const incomeLimit = solvePrincipal(availableEmi, applicant.annualRate, tenureYears, interestMethod);
+        const ltvLimit = applicant.propertyValue > 0 ?
+            getMaxLtvLoan(applicant.propertyValue, applicant.ltvSlabs || RBI_LTV_SLABS) :
+            Infinity;
+
+        const bindingConstraint = ltvLimit < incomeLimit ? 'ltv' : 'foir';
+        const eligibleLoan = Math.floor(Math.min(incomeLimit, ltvLimit));
+        const emi = calculateEMI(eligibleLoan, applicant.annualRate, tenureYears, interestMethod);
+
+        return {
+            eligibleLoan: eligibleLoan,
+            emi: emi,
+            tenureYears: tenureYears,
+            tenureLimit: yearsToRetirement < applicant.maxTenureYears ? 'age' : 'lender',
+            bindingConstraint: bindingConstraint,
+            totalIncome: totalIncome,
+            maxObligations: maxObligations,
+            availableEmi: availableEmi,
+            incomeLimit: incomeLimit,
+            ltvLimit: ltvLimit,
+            ltvRatio: applicant.propertyValue > 0 ? eligibleLoan / applicant.propertyValue : null,
+            foirUsed: (existingEmis + emi) / totalIncome * 100
+        };
+    }
+
+    // ============================================
+    // LOAN CALENDAR
+    // ============================================
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function startOfDay(date) {
+        const day = new Date(date);
+        return new Date(day.getFullYear(), day.getMonth(), day.getDate());
+    }
+
+    /**
+     * Date an EMI falls due in a month (month may run past 11), clamping the
+     * due day to short months - a 31st due day falls on 28/29 Feb
+     */
+    function getDueDate(year, month, dueDay) {
+        const lastDay = new Date(year, month + 1, 0).getDate();
+        return new Date(year, month, Math.min(dueDay, lastDay));
+    }
+
+    /**
+     * EMI calendar of a loan disbursed on `disbursementDate` with EMIs due on `dueDay`
+     * (defaults to the disbursement day). The EMI cycle starts on the first due date on
+     * or after disbursement and the first EMI is due a month later. Interest for the
+     * days between disbursement and the cycle start is the broken-period (pre-EMI)
+     * interest, charged on an actual/365 basis.
+     */
+    function getLoanCalendar(principal, annualRate, disbursementDate, dueDay) {
+        const disbursed = startOfDay(disbursementDate);
+        const day = dueDay || disbursed.getDate();
+
+        let cycleStart = getDueDate(disbursed.getFullYear(), disbursed.getMonth(), day);
+        if (cycleStart < disbursed) {
+            cycleStart = getDueDate(disbursed.getFullYear(), disbursed.getMonth() + 1, day);
+        }
+
+        const brokenPeriodDays = Math.round((cycleStart - disbursed) / DAY_MS);
+
+        return {
+            disbursementDate: disbursed,
+            dueDay: day,
+            cycleStartDate: cycleStart,
+            firstEmiDate: getDueDate(cycleStart.getFullYear(), cycleStart.getMonth() + 1, day),
+            brokenPeriodDays: brokenPeriodDays,
+            brokenPeriodInterest: principal * annualRate / 100 * brokenPeriodDays / 365
+        };
+    }
+
+    /**
+     * Number of EMIs due from `firstEmiDate` up to and including `asOfDate`
+     */
+    function countEmisPaid(firstEmiDate, dueDay, asOfDate) {
+        const asOf = startOfDay(asOfDate);
+        const first = startOfDay(firstEmiDate);
+        if (asOf < first) {
+            return 0;
+        }
+
+        let count = (asOf.getFullYear() - first.getFullYear()) * 12 + asOf.getMonth() - first.getMonth();
+        if (asOf >= getDueDate(asOf.getFullYear(), asOf.getMonth(), dueDay)) {
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * First EMI due date after `asOfDate` (an EMI due that day counts as paid)
+     */
+    function getNextDueDate(dueDay, asOfDate) {
+        const asOf = startOfDay(asOfDate);
+        const thisMonth = getDueDate(asOf.getFullYear(), asOf.getMonth(), dueDay);
+        return thisMonth > asOf ? thisMonth : getDueDate(asOf.getFullYear(), asOf.getMonth() + 1, dueDay);
+    }
+
+    // ============================================
+    // AMORTIZATION SCHEDULE
+    // ============================================
+
+    /**
+     * Build the month-by-month amortization schedule as plain data rows.
+     * options.prepayments - part-prepayment entries (see getPrepaymentForMonth)
+     * options.rateChanges - floating rate revisions (see sortRateChanges)
+     * options.stepUp - yearly EMI increase (see applyStepUp)
+     * options.startDate - month of the first EMI (defaults to the current month)
+     * options.emiDueDay - day of the month EMIs fall due; row dates use it (defaults to the 1st)
+     * options.interestMethod - 'monthly' (default), 'daily' or 'annual' (see INTEREST_METHODS)
+     * options.rounding - rounding policy (see EMI_ROUNDING_RULES); without one amounts keep full precision
+     *
+     * The closing row carries finalAdjustment - what its payment differs from the regular EMI -
+     * so the rows always add up to the totals.
+     */
+    function buildAmortizationSchedule(principal, emi, monthlyRate, totalMonths, options = {}) {
+        const prepayments = options.prepayments || [];
+        const rateChanges = sortRateChanges(options.rateChanges || []);
+        const stepUp = options.stepUp || null;
+        const startDate = options.startDate ? new Date(options.startDate) : new Date();
+        const emiDueDay = options.emiDueDay || 1;
+        const interestMethod = options.interestMethod || 'monthly';
+        const rounding = options.rounding || null;
+        const schedule = [];
+        let remainingPrincipal = roundAmount(principal, rounding);
+        let interestBase = remainingPrincipal;
+        let previousDueDate = getDueDate(startDate.getFullYear(), startDate.getMonth() - 1, emiDueDay);
+        let totalInterestPaid = 0;
+        let currentEmi = roundEmi(emi, rounding);
+        let currentRate = monthlyRate;
+        let currentAnnualRate = monthlyRate * 1200;
+        let nextRateChange = 0;
+
+        // Durations entered as years + months can carry floating point noise.
+        // Rate revisions can push the loan past its planned tenure, up to the 50 year cap,
+        // and no schedule runs past the cap, whatever tenure was planned.
+        const plannedMonths = Math.round(totalMonths);
+        const lastMonth = MAX_SCHEDULE_MONTHS;
+
+        for (let month = 1; month <= lastMonth && remainingPrincipal > 0; month++) {
+            // Format date
+            const date = getDueDate(startDate.getFullYear(), startDate.getMonth() + month - 1, emiDueDay);
+            const monthYear = date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+
+            // Apply rate revisions that take effect this month
+            let rateRevised = false;
+            while (nextRateChange < rateChanges.length && isRateChangeDue(rateChanges[nextRateChange], date)) {
+                const change = rateChanges[nextRateChange];
+                const newRate = change.rate / 100 / 12;
+                const monthsLeft = calculateMonthsToClose(remainingPrincipal, currentRate, currentEmi, interestMethod);
+
+                // Keep the tenure and reset the EMI - also the fallback when the
+                // old EMI would no longer cover the interest at the new rate
+                const emiTooLow = currentEmi <= remainingPrincipal * newRate;
+                if ((change.mode === 'keep-tenure' || emiTooLow) && isFinite(monthsLeft) && monthsLeft > 0) {
+                    currentEmi = roundEmi(calculateEMI(remainingPrincipal, change.rate, monthsLeft / 12, interestMethod), rounding);
+                }
+
+                currentRate = newRate;
+                currentAnnualRate = change.rate;
+                rateRevised = true;
+                nextRateChange++;
+            }
+
+            // Step up the EMI on each anniversary of the start month
+            let emiStepped = false;
+            if (stepUp && month >= stepUp.startMonth && (month - stepUp.startMonth) % 12 === 0) {
+                const steppedEmi = roundEmi(applyStepUp(currentEmi, stepUp), rounding);
+                emiStepped = steppedEmi > currentEmi;
+                currentEmi = steppedEmi;
+            }
+
+            // Calculate interest for this month
+            if ((month - 1) % 12 === 0) {
+                interestBase = remainingPrincipal;
+            }
+            let interestPayment = remainingPrincipal * currentRate;
+            if (interestMethod === 'daily') {
+                const days = Math.round((date - previousDueDate) / DAY_MS);
+                interestPayment = remainingPrincipal * currentAnnualRate / 100 * days / 365;
+            } else if (interestMethod === 'annual') {
+                interestPayment = interestBase * currentRate;
+            }
+            interestPayment = roundAmount(interestPayment, rounding);
+            previousDueDate = date;
+            
+            // Calculate principal payment
+            let principalPayment = roundAmount(currentEmi - interestPayment, rounding);
+
+            // A rounded EMI leaves a residual less than one EMI at the end of the
+            // planned tenure - the lender settles it in that instalment
+            const residualLeft = rounding && month === plannedMonths &&
+                remainingPrincipal - principalPayment < currentEmi;
+
+            // Settle the final month (including sub-paisa rounding leftovers),
+            // or whatever is still outstanding at the 50 year cap
+            if (month === lastMonth || residualLeft || principalPayment > remainingPrincipal - CLOSING_TOLERANCE) {
+                principalPayment = remainingPrincipal;
+            }
+
+            // Update remaining principal
+            remainingPrincipal = roundAmount(Math.max(0, remainingPrincipal - principalPayment), rounding);
+
+            // Calculate accumulated interest
+            totalInterestPaid = roundAmount(totalInterestPaid + interestPayment, rounding);
+
+            const row = {
+                month: month,
+                monthYear: monthYear,
+                date: date,
+                rate: currentAnnualRate,
+                rateRevised: rateRevised,
+                emi: currentEmi,
+                emiStepped: emiStepped,
+                interest: interestPayment,
+                principal: principalPayment,
+                prepayment: 0,
+                balance: remainingPrincipal,
+                cumulativeInterest: totalInterestPaid,
+                finalAdjustment: 0
+            };
+
+            // Show the closing instalment's difference from the regular EMI explicitly
+            const finalPayment = interestPayment + principalPayment;
+            if (remainingPrincipal === 0 && Math.abs(finalPayment - currentEmi) >= 0.005) {
+                row.finalAdjustment = roundAmount(finalPayment - currentEmi, rounding);
+            }
+
+            // Apply part-prepayments due this month after the EMI: 'tenure' amounts keep
+            // the EMI and shorten the loan, then 'emi' amounts keep what tenure is left
+            const due = getPrepaymentForMonth(prepayments, month, date.getMonth());
+            if (due.amount > 0 && remainingPrincipal > 0) {
+                const tenurePart = roundAmount(Math.min(due.tenureAmount, remainingPrincipal), rounding);
+                remainingPrincipal = roundAmount(remainingPrincipal - tenurePart, rounding);
+
+                const monthsLeft = calculateMonthsToClose(remainingPrincipal, currentRate, currentEmi, interestMethod);
+                const emiPart = roundAmount(Math.min(due.emiAmount, remainingPrincipal), rounding);
+                remainingPrincipal = roundAmount(remainingPrincipal - emiPart, rounding);
+                row.prepayment = roundAmount(tenurePart + emiPart, rounding);
+                row.balance = remainingPrincipal;
+
+                // Re-amortize: keep the remaining tenure, lower the EMI
+                if (emiPart > 0 && remainingPrincipal > 0 && isFinite(monthsLeft) && monthsLeft > 0) {
+                    currentEmi = roundEmi(calculateEMI(remainingPrincipal, currentAnnualRate, monthsLeft / 12, interestMethod), rounding);
+                    row.emiRevised = true;
+                }
+            }
+
+            schedule.push(row);
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Step-up plans look like { type: 'percent' | 'amount', value, cap, startMonth }.
+     * The EMI never exceeds the cap (when set), and the cap never lowers it.
+     */
+    function applyStepUp(emi, stepUp) {
+        let steppedEmi = stepUp.type === 'percent' ?
+            emi * (1 + stepUp.value / 100) :
+            emi + stepUp.value;
+
+        if (stepUp.cap > 0) {
+            steppedEmi = Math.min(steppedEmi, Math.max(stepUp.cap, emi));
+        }
+
+        return steppedEmi;
+    }
+
+    /**
+     * Rate revisions look like { from: 'YYYY-MM', rate, mode: 'keep-emi' | 'keep-tenure' }
+     * - keep-emi: the lender keeps the EMI and the tenure absorbs the change
+     * - keep-tenure: the lender keeps the tenure and resets the EMI
+     */
+    function sortRateChanges(rateChanges) {
+        return rateChanges
+            .filter((change) => change.from && change.rate >= 0)
+            .slice()
+            .sort((a, b) => a.from.localeCompare(b.from));
+    }
+
+    /**
+     * A revision is due once the schedule reaches its month. Revisions dated
+     * before the schedule starts are already in force from the first month.
+     */
+    function isRateChangeDue(change, date) {
+        const parts = change.from.split('-');
+        const changeYear = parseInt(parts[0], 10);
+        const changeMonth = parseInt(parts[1], 10) - 1;
+        return changeYear < date.getFullYear() ||
+            (changeYear === date.getFullYear() && changeMonth <= date.getMonth());
+    }
+
+    /**
+     * Describe the rates in force over a schedule, e.g. "7.50% → 8.75% (Jun 2025)"
+     */
+    function describeRateHistory(schedule, annualRate) {
+        let history = annualRate.toFixed(2) + '%';
+        schedule.forEach((row) => {
+            if (row.rateRevised) {
+                history += row.month === 1 ?
+                    ' → ' + row.rate.toFixed(2) + '% (from start)' :
+                    ' → ' + row.rate.toFixed(2) + '% (' + row.monthYear + ')';
+            }
+        });
+        return history;
+    }
+
+    /**
+     * Total prepayment due in a loan month. Entries look like
+     * { type: 'once' | 'yearly' | 'monthly', amount, month, calendarMonth, mode: 'tenure' | 'emi' }
+     * - once: paid in loan month `month`
+     * - yearly: paid every year in `calendarMonth` (0 = Jan), from loan month `month`
+     * - monthly: paid every month from loan month `month`
+     * Amounts are also totalled per mode, since each entry keeps its own mode.
+     */
+    function getPrepaymentForMonth(prepayments, month, calendarMonth) {
+        let tenureAmount = 0;
+        let emiAmount = 0;
+
+        prepayments.forEach((entry) => {
+            const startMonth = entry.month || 1;
+            let isDue = false;
+
+            if (entry.type === 'once') {
+                isDue = month === startMonth;
+            } else if (entry.type === 'yearly') {
+                isDue = month >= startMonth && calendarMonth === entry.calendarMonth;
+            } else if (entry.type === 'monthly') {
+                isDue = month >= startMonth;
+            }
+
+            if (isDue && entry.amount > 0) {
+                if (entry.mode === 'emi') {
+                    emiAmount += entry.amount;
+                } else {
+                    tenureAmount += entry.amount;
+                }
+            }
+        });
+
+        return {
+            amount: tenureAmount + emiAmount,
+            tenureAmount: tenureAmount,
+            emiAmount: emiAmount,
+            reduceEmi: emiAmount > 0
+        };
+    }
+
+    /**
+     * Total interest and tenure of the same loan and EMI under every interest method,
+     * with each method's difference from `options.interestMethod` (monthly rest by default)
+     */
+    function compareInterestMethods(principal, emi, monthlyRate, totalMonths, options = {}) {
+        const selected = options.interestMethod || 'monthly';
+        const results = INTEREST_METHODS.map((method) => {
+            const summary = summarizeSchedule(buildAmortizationSchedule(principal, emi, monthlyRate, totalMonths,
+                Object.assign({}, options, { interestMethod: method })));
+            return {
+                method: method,
+                months: summary.months,
+                totalInterest: summary.totalInterest,
+                difference: 0
+            };
+        });
+
+        const base = results.find((result) => result.method === selected) || results[0];
+        results.forEach((result) => {
+            result.difference = result.totalInterest - base.totalInterest;
+        });
+        return results;
+    }
+
+    /**
+     * Totals for a generated schedule
+     */
+    function summarizeSchedule(schedule) {
+        const last = schedule[schedule.length - 1];
+        return {
+            months: schedule.length,
+            totalInterest: last ? last.cumulativeInterest : 0,
+            totalPrepaid: schedule.reduce((sum, row) => sum + row.prepayment, 0),
+            finalEmi: last ? last.emi : 0,
+            closingMonthYear: last ? last.monthYear : ''
+        };
+    }
+
+    /**
+     * Schedule rows with running totals for a report: principal repaid (prepayments
+     * included), interest still to be paid and the percentage of `principal` repaid.
+     * The rows are copied, not changed.
+     */
+    function addRepaymentProgress(schedule, principal) {
+        const totalInterest = summarizeSchedule(schedule).totalInterest;
+        let principalRepaid = 0;
+
+        return schedule.map((row) => {
+            principalRepaid += row.principal + row.prepayment;
+            return Object.assign({}, row, {
+                principalRepaid: principalRepaid,
+                interestRemaining: Math.max(0, totalInterest - row.cumulativeInterest),
+                percentRepaid: principal > 0 ? Math.min(100, principalRepaid / principal * 100) : 100
+            });
+        });
+    }
+
+    /**
+     * Roll schedule rows up into calendar years ('year') or April-March financial
+     * years ('fy'). Each group totals what was paid in it and keeps the running
+     * totals of its last row (balance, cumulativeInterest and, for rows from
+     * addRepaymentProgress, principalRepaid, interestRemaining and percentRepaid).
+     */
+    function groupScheduleByYear(schedule, grouping) {
+        const groups = [];
+        schedule.forEach((row) => {
+            const key = grouping === 'fy' ? getFinancialYear(row.date).label : String(row.date.getFullYear());
+            let group = groups[groups.length - 1];
+            if (!group || group.label !== key) {
+                group = {
+                    label: key,
+                    rows: [],
+                    paid: 0,
+                    interest: 0,
+                    principal: 0,
+                    prepayment: 0
+                };
+                groups.push(group);
+            }
+            group.rows.push(row);
+            group.paid += row.interest + row.principal;
+            group.interest += row.interest;
+            group.principal += row.principal;
+            group.prepayment += row.prepayment;
+        });
+
+        return groups.map((group) => {
+            const last = group.rows[group.rows.length - 1];
+            return Object.assign(group, {
+                months: group.rows.length,
+                rate: last.rate,
+                balance: last.balance,
+                cumulativeInterest: last.cumulativeInterest,
+                principalRepaid: last.principalRepaid,
+                interestRemaining: last.interestRemaining,
+                percentRepaid: last.percentRepaid
+            });
+        });
+    }
+
+    // ============================================
+    // LOAN PORTFOLIO
+    // ============================================
+
+    const PORTFOLIO_STRATEGIES = ['minimum', 'avalanche', 'snowball', 'custom'];
+
+    /**
+     * Order open loans for surplus allocation.
+     * avalanche - highest rate first; snowball - smallest balance first;
+     * custom - ascending loan.priority (ties keep the entry order)
+     */
+    function orderPortfolioLoans(loans, strategy) {
+        const ordered = loans.slice();
+        if (strategy === 'avalanche') {
+            ordered.sort((a, b) => b.annualRate - a.annualRate || a.balance - b.balance);
+        } else if (strategy === 'snowball') {
+            ordered.sort((a, b) => a.balance - b.balance || b.annualRate - a.annualRate);
+        } else {
+            ordered.sort((a, b) => (a.priority || 0) - (b.priority || 0) || a.index - b.index);
+        }
+        return ordered;
+    }
+
+    /**
+     * Simulate paying off several loans together.
+     * loans - [{ name, principal, annualRate, emi, priority }]
+     * monthlySurplus - extra amount paid every month on top of the EMIs
+     * options.strategy - 'minimum' (EMIs only), 'avalanche', 'snowball' or 'custom'
+     * options.rollFreedEmis - keep paying a closed loan's EMI towards the next loan (default true)
+     * options.startDate - month of the first EMI (defaults to the current month)
+     *
+     * Schedule rows have the amortization row fields, with EMIs in `emi`, surplus and
+     * rolled-over EMIs in `prepayment`, and per-loan balances in `loans`.
+     */
+    function simulatePortfolio(loans, monthlySurplus, options = {}) {
+        const strategy = PORTFOLIO_STRATEGIES.includes(options.strategy) ? options.strategy : 'avalanche';
+        const rollFreedEmis = strategy !== 'minimum' && options.rollFreedEmis !== false;
+        const surplus = strategy === 'minimum' ? 0 : Math.max(0, monthlySurplus || 0);
+        const startDate = options.startDate ? new Date(options.startDate) : new Date();
+
+        const state = loans.map((loan, index) => ({
+            index: index,
+            name: loan.name || 'Loan ' + (index + 1),
+            principal: loan.principal,
+            annualRate: loan.annualRate,
+            monthlyRate: loan.annualRate / 100 / 12,
+            emi: loan.emi,
+            priority: loan.priority,
+            balance: loan.principal,
+            interest: 0,
+            closedMonth: null,
+            closedMonthYear: ''
+        }));
+        const totalEmi = state.reduce((sum, loan) => sum + loan.emi, 0);
+        const schedule = [];
+        let totalInterestPaid = 0;
+
+        for (let month = 1; month <= MAX_SCHEDULE_MONTHS; month++) {
+            const open = state.filter((loan) => loan.balance > 0);
+            if (open.length === 0) {
+                break;
+            }
+
+            const date = new Date(startDate.getFullYear(), startDate.getMonth() + month - 1, 1);
+            const monthYear = date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+            const openingBalance = open.reduce((sum, loan) => sum + loan.balance, 0);
+            const weightedRate = open.reduce((sum, loan) => sum + loan.annualRate * loan.balance, 0) / openingBalance;
+            let interest = 0;
+            let regularPaid = 0;
+
+            // Every open loan gets its EMI (or whatever is left to close it)
+            open.forEach((loan) => {
+                const loanInterest = loan.balance * loan.monthlyRate;
+                const payment = Math.min(loan.emi, loan.balance + loanInterest);
+                loan.balance = loan.balance + loanInterest - payment;
+                loan.interest += loanInterest;
+                interest += loanInterest;
+                regularPaid += payment;
+            });
+
+            // Surplus, plus EMIs freed up by closed loans, goes to the loans in strategy order
+            let pool = surplus + (rollFreedEmis ? totalEmi - regularPaid : 0);
+            let extraPaid = 0;
+            orderPortfolioLoans(open.filter((loan) => loan.balance >= CLOSING_TOLERANCE), strategy).forEach((loan) => {
+                const extra = Math.min(pool, loan.balance);
+                loan.balance -= extra;
+                pool -= extra;
+                extraPaid += extra;
+            });
+
+            open.forEach((loan) => {
+                if (loan.balance < CLOSING_TOLERANCE) {
+                    loan.balance = 0;
+                    loan.closedMonth = month;
+                    loan.closedMonthYear = monthYear;
+                }
+            });
+
+            totalInterestPaid += interest;
+            const balance = state.reduce((sum, loan) => sum + loan.balance, 0);
+
+            schedule.push({
+                month: month,
+                monthYear: monthYear,
+                date: date,
+                rate: weightedRate,
+                rateRevised: false,
+                emi: regularPaid,
+                emiStepped: false,
+                interest: interest,
+                principal: regularPaid - interest,
+                prepayment: extraPaid,
+                balance: balance,
+                cumulativeInterest: totalInterestPaid,
+                closedLoans: open.filter((loan) => loan.closedMonth === month).map((loan) => loan.name),
+                loans: state.map((loan) => loan.balance)
+            });
+        }
+
+        const debtFree = state.every((loan) => loan.balance === 0);
+        const last = schedule[schedule.length - 1];
+
+        return {
+            strategy: strategy,
+            debtFree: debtFree,
+            months: schedule.length,
+            debtFreeMonthYear: debtFree && last ? last.monthYear : '',
+            totalInterest: totalInterestPaid,
+            totalPaid: schedule.reduce((sum, row) => sum + row.emi + row.prepayment, 0),
+            loans: state.map((loan) => ({
+                name: loan.name,
+                principal: loan.principal,
+                annualRate: loan.annualRate,
+                emi: loan.emi,
+                interest: loan.interest,
+                closedMonth: loan.closedMonth,
+                closedMonthYear: loan.closedMonthYear,
+                // Months to close on its own EMI, for comparison
+                standaloneMonths: calculateMonthsToClose(loan.principal, loan.monthlyRate, loan.emi)
+            })),
+            schedule: schedule
+        };
+    }
+
+    // ============================================
+    // INCOME TAX BENEFITS (INDIA)
+    // ============================================
+
+    // Section 24(b): interest on a self-occupied home, and the cap on setting off a
+    // house property loss against other income
+    const SECTION_24B_LIMIT = 200000;
+
+    // Section 80C: principal repayment, shared with PF, ELSS, insurance etc.
+    const SECTION_80C_LIMIT = 150000;
+
+    // Standard deduction on rent from a let-out property
+    const RENT_STANDARD_DEDUCTION = 0.3;
+
+    /**
+     * Financial year (April to March) a date falls in, e.g. "FY 2025-26"
+     */
+    function getFinancialYear(date) {
+        const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+        return {
+            startYear: startYear,
+            label: 'FY ' + startYear + '-' + String((startYear + 1) % 100).padStart(2, '0')
+        };
+    }
+
+    /**
+     * Deductions a single borrower can claim for one financial year
+     */
+    function getBorrowerDeductions(interest, principal, rent, other80C, options) {
+        const taxableRent = rent * (1 - RENT_STANDARD_DEDUCTION);
+        let interestDeduction = 0;
+
+        if (options.occupancy === 'let-out') {
+            // Interest is set off against rent; only the old regime lets the rest
+            // reduce other income, and only up to the 24(b) limit
+            const setOffLimit = options.regime === 'old' ? taxableRent + SECTION_24B_LIMIT : taxableRent;
+            interestDeduction = Math.min(interest, setOffLimit);
+        } else if (options.regime === 'old') {
+            interestDeduction = Math.min(interest, SECTION_24B_LIMIT);
+        }
+
+        const principalDeduction = options.regime === 'old' ?
+            Math.min(principal, Math.max(0, SECTION_80C_LIMIT - (other80C || 0))) :
+            0;
+
+        return { interestDeduction: interestDeduction, principalDeduction: principalDeduction };
+    }
+
+    /**
+     * Year-by-year home loan tax benefits for an amortization schedule.
+     * options.regime - 'old' or 'new' income tax regime
+     * options.occupancy - 'self' (self-occupied) or 'let-out'
+     * options.annualRent - rent received in a full year (let-out only)
+     * options.borrowers - [{ name, share (%), taxSlab (%), other80C }]; defaults to one
+     *   borrower owning 100% at a 30% slab
+     *
+     * Each co-borrower claims their ownership share of interest, principal and rent
+     * against their own limits. Prepayments count as principal repaid for 80C.
+     */
+    function calculateTaxBenefits(schedule, options = {}) {
+        const settings = {
+            regime: options.regime === 'new' ? 'new' : 'old',
+            occupancy: options.occupancy === 'let-out' ? 'let-out' : 'self'
+        };
+        const annualRent = options.annualRent || 0;
+        const borrowers = options.borrowers && options.borrowers.length > 0 ?
+            options.borrowers :
+            [{ name: 'Borrower 1', share: 100, taxSlab: 30, other80C: 0 }];
+
+        // Group the schedule into financial years
+        const years = [];
+        schedule.forEach((row) => {
+            const financialYear = getFinancialYear(row.date);
+            let year = years[years.length - 1];
+            if (!year || year.startYear !== financialYear.startYear) {
+                year = {
+                    startYear: financialYear.startYear,
+                    label: financialYear.label,
+                    months: 0,
+                    interest: 0,
+                    principal: 0
+                };
+                years.push(year);
+            }
+            year.months++;
+            year.interest += row.interest;
+            year.principal += row.principal + row.prepayment;
+        });
+
+        const borrowerTotals = borrowers.map((borrower) => ({
+            name: borrower.name,
+            share: borrower.share,
+            taxSlab: borrower.taxSlab,
+            interestDeduction: 0,
+            principalDeduction: 0,
+            taxSaved: 0
+        }));
+
+        years.forEach((year) => {
+            year.interestDeduction = 0;
+            year.principalDeduction = 0;
+            year.taxSaved = 0;
+            year.borrowers = borrowers.map((borrower, index) => {
+                const share = borrower.share / 100;
+                const rent = annualRent * share * year.months / 12;
+                const deductions = getBorrowerDeductions(
+                    year.interest * share,
+                    year.principal * share,
+                    rent,
+                    borrower.other80C,
+                    settings
+                );
+                const taxSaved = (deductions.interestDeduction + deductions.principalDeduction) * borrower.taxSlab / 100;
+
+                year.interestDeduction += deductions.interestDeduction;
+                year.principalDeduction += deductions.principalDeduction;
+                year.taxSaved += taxSaved;
+
+                const totals = borrowerTotals[index];
+                totals.interestDeduction += deductions.interestDeduction;
+                totals.principalDeduction += deductions.principalDeduction;
+                totals.taxSaved += taxSaved;
+
+                return {
+                    name: borrower.name,
+                    interestDeduction: deductions.interestDeduction,
+                    principalDeduction: deductions.principalDeduction,
+                    taxSaved: taxSaved
+                };
+            });
+        });
+
+        const sum = (field) => years.reduce((total, year) => total + year[field], 0);
+        const totalInterest = sum('interest');
+        const taxSaved = sum('taxSaved');
+
+        // Interest-weighted rate, so floating-rate schedules average correctly
+        const averageRate = totalInterest > 0 ?
+            schedule.reduce((total, row) => total + row.rate * row.interest, 0) / totalInterest :
+            0;
+
+        return {
+            regime: settings.regime,
+            occupancy: settings.occupancy,
+            years: years,
+            borrowers: borrowerTotals,
+            totalInterest: totalInterest,
+            totalPrincipal: sum('principal'),
+            interestDeduction: sum('interestDeduction'),
+            principalDeduction: sum('principalDeduction'),
+            taxSaved: taxSaved,
+            averageRate: averageRate,
+            // Rate that leaves the same interest cost once the tax saved is netted off
+            postTaxEffectiveRate: totalInterest > 0 ?
+                averageRate * Math.max(0, totalInterest - taxSaved) / totalInterest :
+                0
+        };
+    }
+
+    // ============================================
+    // SIP (SYSTEMATIC INVESTMENT PLAN)
+    // ============================================
+
+    /**
+     * Calculate SIP (Systematic Investment Plan) returns
+     * Formula: FV = P × (((1 + r)^n - 1) / r) × (1 + r)
+     * Where P = Monthly Investment, r = Monthly Rate, n = Number of months
+     */
+    function calculateSIPReturns(monthlyAmount, annualRate, months) {
+        const monthlyRate = annualRate / 100 / 12;
+        
+        if (monthlyRate === 0) {
+            return monthlyAmount * months;
+        }
+        
+        const futureValue = monthlyAmount * 
+            (((Math.pow(1 + monthlyRate, months) - 1) / monthlyRate) * (1 + monthlyRate));
+        
+        return futureValue;
+    }
+
+    /**
+     * Grow a one-time investment with monthly compounding
+     */
+    function calculateLumpSumReturns(amount, annualRate, months) {
+        const monthlyRate = annualRate / 100 / 12;
+        return amount * Math.pow(1 + monthlyRate, months);
+    }
+
+    /**
+     * Month-by-month growth of a SIP. Each instalment (and any lump sum due that month)
+     * is invested at the start of the month, so a flat SIP matches calculateSIPReturns.
+     * options.stepUp - yearly increase of the instalment, { type: 'percent' | 'amount', value, cap }
+     * (see applyStepUp); the first increase is in month 13
+     * options.lumpSums - one-time additions as [{ month, amount }]
+     * options.inflationRate - annual inflation (%) for values in today's money (realValue)
+     * options.startDate - month of the first instalment (defaults to the current month)
+     */
+    function buildSIPSchedule(monthlyAmount, annualRate, months, options = {}) {
+        const monthlyRate = annualRate / 100 / 12;
+        const stepUp = options.stepUp || null;
+        const lumpSums = options.lumpSums || [];
+        const inflationRate = options.inflationRate || 0;
+        const startDate = options.startDate ? new Date(options.startDate) : new Date();
+        const rows = [];
+        let instalment = monthlyAmount;
+        let invested = 0;
+        let value = 0;
+
+        for (let month = 1; month <= Math.round(months); month++) {
+            if (stepUp && month > 1 && (month - 1) % 12 === 0) {
+                instalment = applyStepUp(instalment, stepUp);
+            }
+
+            const lumpSum = lumpSums
+                .filter((entry) => entry.month === month && entry.amount > 0)
+                .reduce((sum, entry) => sum + entry.amount, 0);
+
+            invested += instalment + lumpSum;
+            value = (value + instalment + lumpSum) * (1 + monthlyRate);
+
+            const date = new Date(startDate.getFullYear(), startDate.getMonth() + month - 1, 1);
+            rows.push({
+                month: month,
+                monthYear: date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+                date: date,
+                instalment: instalment,
+                lumpSum: lumpSum,
+                invested: invested,
+                returns: value - invested,
+                value: value,
+                // Deflated over the months elapsed, at the end of the month
+                realValue: value / Math.pow(1 + inflationRate / 100, month / 12)
+            });
+        }
+
+        const last = rows[rows.length - 1];
+        return {
+            rows: rows,
+            years: groupSIPScheduleByYear(rows),
+            finalInstalment: last ? last.instalment : monthlyAmount,
+            totalInvested: last ? last.invested : 0,
+            totalReturns: last ? last.returns : 0,
+            maturityValue: last ? last.value : 0,
+            realMaturityValue: last ? last.realValue : 0
+        };
+    }
+
+    /**
+     * Investment years (12 months from the first instalment) of a SIP schedule,
+     * each with what was invested in it and the position at its end
+     */
+    function groupSIPScheduleByYear(rows) {
+        const years = [];
+        rows.forEach((row) => {
+            const index = Math.floor((row.month - 1) / 12);
+            if (!years[index]) {
+                years[index] = { year: index + 1, investedInYear: 0, lumpSums: 0 };
+            }
+            const year = years[index];
+            year.investedInYear += row.instalment + row.lumpSum;
+            year.lumpSums += row.lumpSum;
+            year.monthlyInstalment = row.instalment;
+            year.endMonthYear = row.monthYear;
+            year.invested = row.invested;
+            year.returns = row.returns;
+            year.value = row.value;
+            year.realValue = row.realValue;
+        });
+        return years;
+    }
+
+    /**
+     * Starting SIP that reaches a goal, inverting buildSIPSchedule. The maturity value
+     * is linear in the starting SIP (a fixed-amount step-up adds a constant), so two
+     * schedules give the exact answer - except when a step-up cap holds the SIP back,
+     * where bisection finds it instead.
+     * goal.targetAmount - what the goal costs in today's money
+     * goal.months - horizon; goal.annualRate - expected return (%)
+     * goal.inflationRate - annual inflation (%) the target grows by
+     * goal.existingCorpus - investments already set aside for the goal
+     * goal.stepUp - yearly SIP increase (see buildSIPSchedule)
+     * Throws a RangeError when the inputs cannot describe a goal.
+     */
+    function solveSIPForGoal(goal) {
+        const months = Math.round(goal.months);
+        const inflationRate = goal.inflationRate || 0;
+        const existingCorpus = goal.existingCorpus || 0;
+        if (!(goal.targetAmount > 0) || !(months > 0) || !(goal.annualRate >= 0) ||
+            !(inflationRate >= 0) || !(existingCorpus >= 0)) {
+            throw new RangeError('Target and horizon must be greater than 0, and rates and existing investments cannot be negative');
+        }
+
+        const options = { stepUp: goal.stepUp || null, startDate: goal.startDate };
+        const futureTarget = goal.targetAmount * Math.pow(1 + inflationRate / 100, months / 12);
+        const existingValue = calculateLumpSumReturns(existingCorpus, goal.annualRate, months);
+        const shortfall = Math.max(0, futureTarget - existingValue);
+
+        const maturityFor = (sip) => buildSIPSchedule(sip, goal.annualRate, months, options).maturityValue;
+        let requiredSip;
+        if (options.stepUp && options.stepUp.cap > 0) {
+            // Capped step-ups are not linear in the SIP, but more SIP still always grows
+            // to more, and a SIP that never steps up is enough on its own
+            let low = 0;
+            let high = shortfall / buildSIPSchedule(1, goal.annualRate, months).maturityValue;
+            while (high - low > 0.001) {
+                const mid = (low + high) / 2;
+                if (maturityFor(mid) < shortfall) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            requiredSip = high;
+        } else {
+            const fromStepUps = maturityFor(0);
+            const perRupee = maturityFor(1) - fromStepUps;
+            requiredSip = Math.max(0, (shortfall - fromStepUps) / perRupee);
+        }
+        const plan = buildSIPSchedule(requiredSip, goal.annualRate, months, Object.assign({}, options, {
+            inflationRate: inflationRate,
+            // A goal the existing investments cover needs no SIP, and so no step-ups either
+            stepUp: shortfall > 0 ? options.stepUp : null
+        }));
+
+        return {
+            futureTarget: futureTarget,
+            existingValue: existingValue,
+            requiredSip: requiredSip,
+            finalSip: plan.finalInstalment,
+            totalInvested: plan.totalInvested,
+            maturityValue: plan.maturityValue + existingValue,
+            covered: shortfall === 0,
+            plan: plan
+        };
+    }
+
+    // ============================================
+    // MONTE CARLO SIP PROJECTION
+    // ============================================
+
+    // Most return paths a single simulation may run
+    const MAX_SIMULATIONS = 20000;
+
+    /**
+     * Seeded pseudo-random numbers in [0, 1) (mulberry32), so the same seed
+     * always replays the same sequence
+     */
+    function createSeededRandom(seed) {
+        let state = seed >>> 0;
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Percentile (0-100) of ascending values, interpolating between neighbours
+     */
+    function getPercentile(sorted, percentile) {
+        const position = (sorted.length - 1) * percentile / 100;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * P10/P50/P90 of a set of outcomes
+     */
+    function summarizeOutcomes(values) {
+        const sorted = Float64Array.from(values).sort();
+        return {
+            p10: getPercentile(sorted, 10),
+            p50: getPercentile(sorted, 50),
+            p90: getPercentile(sorted, 90)
+        };
+    }
+
+    /**
+     * Monte Carlo projection of a SIP whose returns are uncertain.
+     * Each month's growth is lognormal around options.annualReturn (%, compounded
+     * monthly like calculateSIPReturns) with options.volatility (% a year). With
+     * options.historicalReturns (annual %), each simulated year instead replays a
+     * year drawn at random from the series.
+     * options.simulations - number of return paths (default 1000, at most MAX_SIMULATIONS)
+     * options.seed - the same seed always gives the same result (default 1)
+     * options.target - corpus whose chance of being reached is reported (%)
+     * options.stepUp / options.lumpSums - as in buildSIPSchedule
+     * Throws a RangeError when the inputs cannot be simulated.
+     */
+    function simulateSIPReturns(monthlyAmount, months, options = {}) {
+        const totalMonths = Math.round(months);
+        const simulations = options.simulations === undefined ? 1000 : Math.round(options.simulations);
+        const seed = options.seed === undefined ? 1 : Math.round(options.seed);
+        const annualReturn = options.annualReturn || 0;
+        const volatility = options.volatility || 0;
+        const history = options.historicalReturns || [];
+        if (!(monthlyAmount > 0) || !(totalMonths > 0)) {
+            throw new RangeError('SIP amount and duration must be greater than 0');
+        }
+        if (!(simulations >= 1 && simulations <= MAX_SIMULATIONS)) {
+            throw new RangeError('Simulations must be between 1 and ' + MAX_SIMULATIONS);
+        }
+        if (!(annualReturn > -100) || !(volatility >= 0) || history.some((rate) => !(rate > -100))) {
+            throw new RangeError('Returns must be above -100% and volatility cannot be negative');
+        }
+
+        // What goes in each month does not depend on returns, so it is worked out once
+        const rows = buildSIPSchedule(monthlyAmount, 0, totalMonths, {
+            stepUp: options.stepUp || null,
+            lumpSums: options.lumpSums || []
+        }).rows;
+        const contributions = rows.map((row) => row.instalment + row.lumpSum);
+
+        const random = createSeededRandom(seed);
+        const monthlySigma = volatility / 100 / Math.sqrt(12);
+        // Drift chosen so the expected monthly growth is 1 + annualReturn / 12
+        const monthlyDrift = Math.log(1 + annualReturn / 100 / 12) - monthlySigma * monthlySigma / 2;
+        const historicalGrowth = history.map((rate) => Math.pow(1 + rate / 100, 1 / 12));
+        // Standard normal draw (Box-Muller)
+        const normal = () => {
+            const u = 1 - random();
+            return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+        };
+
+        const yearCount = Math.ceil(totalMonths / 12);
+        const yearValues = [];
+        for (let year = 0; year < yearCount; year++) {
+            yearValues.push(new Float64Array(simulations));
+        }
+        const finalValues = new Float64Array(simulations);
+
+        for (let run = 0; run < simulations; run++) {
+            let value = 0;
+            let growth = 1;
+            for (let month = 1; month <= totalMonths; month++) {
+                if (historicalGrowth.length > 0) {
+                    if ((month - 1) % 12 === 0) {
+                        growth = historicalGrowth[Math.floor(random() * historicalGrowth.length)];
+                    }
+                } else {
+                    growth = Math.exp(monthlyDrift + monthlySigma * normal());
+                }
+                value = (value + contributions[month - 1]) * growth;
+                if (month % 12 === 0 || month === totalMonths) {
+                    yearValues[Math.ceil(month / 12) - 1][run] = value;
+                }
+            }
+            finalValues[run] = value;
+        }
+
+        const target = options.target > 0 ? options.target : 0;
+        let reached = 0;
+        finalValues.forEach((value) => {
+            if (value >= target) reached++;
+        });
+
+        return Object.assign({
+            simulations: simulations,
+            seed: seed,
+            totalInvested: rows[rows.length - 1].invested,
+            target: target,
+            probabilityOfTarget: target > 0 ? reached / simulations * 100 : null,
+            years: yearValues.map((values, index) => {
+                const month = Math.min((index + 1) * 12, totalMonths);
+                return Object.assign({
+                    year: index + 1,
+                    month: month,
+                    invested: rows[month - 1].invested
+                }, summarizeOutcomes(values));
+            })
+        }, summarizeOutcomes(finalValues));
+    }
+
+    // ============================================
+    // PREPAY VS INVEST
+    // ============================================
+
+    /**
+     * Run one path of the prepay-vs-invest comparison. Each month the same budget
+     * (EMI + surplus) is spent: the loan takes what its schedule asks for (`loanRows`,
+     * with or without the surplus prepaid), and whatever is left is invested.
+     */
+    function simulateSurplusPath(loanRows, budget, horizonMonths, options) {
+        const monthlyReturn = options.annualReturn / 100 / 12;
+        const deductionCap = options.interestDeductionCap > 0 ? options.interestDeductionCap : Infinity;
+        const rows = [];
+        let corpus = 0;
+        let contributed = 0;
+        let totalInterest = 0;
+        let yearInterest = 0;
+        let taxSaved = 0;
+
+        for (let month = 1; month <= horizonMonths; month++) {
+            const loanRow = loanRows[month - 1];
+            const interest = loanRow ? loanRow.interest : 0;
+            const payment = loanRow ? loanRow.interest + loanRow.principal + loanRow.prepayment : 0;
+            const balance = loanRow ? loanRow.balance : 0;
+            totalInterest += interest;
+            yearInterest += interest;
+
+            // Invested at the start of the month, like calculateSIPReturns
+            const invested = budget - payment;
+            corpus = (corpus + invested) * (1 + monthlyReturn);
+            contributed += invested;
+
+            // Tax refund on each loan year's interest is invested when it arrives
+            if (month % 12 === 0 || month === horizonMonths) {
+                const refund = Math.min(yearInterest, deductionCap) * options.interestTaxRate / 100;
+                corpus += refund;
+                contributed += refund;
+                taxSaved += refund;
+                yearInterest = 0;
+            }
+
+            // Net worth if the investments were sold and the gains taxed today
+            const gains = Math.max(0, corpus - contributed);
+            const netCorpus = corpus - gains * options.gainsTaxRate / 100;
+
+            rows.push({
+                month: month,
+                balance: balance,
+                corpus: corpus,
+                netCorpus: netCorpus,
+                netWorth: netCorpus - balance
+            });
+        }
+
+        const lastLoanRow = loanRows[loanRows.length - 1];
+        const closed = lastLoanRow && lastLoanRow.balance === 0 && loanRows.length <= horizonMonths;
+
+        return {
+            rows: rows,
+            totalInterest: totalInterest,
+            taxSaved: taxSaved,
+            closedMonth: closed ? loanRows.length : null,
+            finalNetWorth: rows.length > 0 ? rows[rows.length - 1].netWorth :
+                -(loanRows[0].balance + loanRows[0].principal + loanRows[0].prepayment)
+        };
+    }
+
+    function summarizeSurplusPath(path) {
+        return {
+            totalInterest: path.totalInterest,
+            taxSaved: path.taxSaved,
+            closedMonth: path.closedMonth,
+            finalNetWorth: path.finalNetWorth
+        };
+    }
+
+    /**
+     * Compare prepaying a loan with investing the same monthly surplus.
+     * loan - { principal, annualRate, emi }
+     * options.annualReturn - expected investment return (%)
+     * options.gainsTaxRate - tax on investment gains at the end (%)
+     * options.interestTaxRate - tax saved per rupee of loan interest (%)
+     * options.interestDeductionCap - most interest deductible per loan year (0 = no cap)
+     * options.horizonMonths - defaults to the loan's remaining tenure without prepayment
+     * The other options are the loan's schedule options (rateChanges, startDate, emiDueDay,
+     * interestMethod, rounding), so both paths repay it the way its schedule does.
+     *
+     * Both paths spend EMI + surplus every month, so they stay comparable after
+     * the loan closes: from then on the whole amount is invested.
+     */
+    function comparePrepayVsInvest(loan, monthlySurplus, options = {}) {
+        const settings = {
+            annualReturn: options.annualReturn || 0,
+            gainsTaxRate: options.gainsTaxRate || 0,
+            interestTaxRate: options.interestTaxRate || 0,
+            interestDeductionCap: options.interestDeductionCap || 0
+        };
+        const monthlyRate = loan.annualRate / 100 / 12;
+        const plannedMonths = calculateMonthsToClose(loan.principal, monthlyRate, loan.emi, options.interestMethod);
+        const loanOptions = Object.assign({}, options, { prepayments: [], stepUp: null });
+        const loanPaths = {
+            prepay: buildAmortizationSchedule(loan.principal, loan.emi, monthlyRate, plannedMonths,
+                Object.assign({}, loanOptions, { prepayments: [{ type: 'monthly', amount: monthlySurplus, month: 1, mode: 'tenure' }] })),
+            invest: buildAmortizationSchedule(loan.principal, loan.emi, monthlyRate, plannedMonths, loanOptions),
+            budget: loan.emi + monthlySurplus
+        };
+        const horizonMonths = Math.min(Math.round(options.horizonMonths || loanPaths.invest.length), MAX_SCHEDULE_MONTHS);
+        const startDate = options.startDate ? new Date(options.startDate) : new Date();
+
+        const prepay = simulateSurplusPath(loanPaths.prepay, loanPaths.budget, horizonMonths, settings);
+        const invest = simulateSurplusPath(loanPaths.invest, loanPaths.budget, horizonMonths, settings);
+
+        const rows = prepay.rows.map((row, index) => {
+            const date = new Date(startDate.getFullYear(), startDate.getMonth() + row.month - 1, 1);
+            return {
+                month: row.month,
+                monthYear: date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+                prepayBalance: row.balance,
+                prepayCorpus: row.netCorpus,
+                prepayNetWorth: row.netWorth,
+                investBalance: invest.rows[index].balance,
+                investCorpus: invest.rows[index].netCorpus,
+                investNetWorth: invest.rows[index].netWorth
+            };
+        });
+
+        // The month from which the final leader stays ahead, if the lead ever changed
+        let crossover = null;
+        for (let index = rows.length - 1; index > 0; index--) {
+            const lead = Math.sign(rows[index].investNetWorth - rows[index].prepayNetWorth);
+            const previousLead = Math.sign(rows[index - 1].investNetWorth - rows[index - 1].prepayNetWorth);
+            if (lead !== previousLead && lead !== 0) {
+                crossover = rows[index];
+                break;
+            }
+        }
+
+        // When the invested surplus (after tax) could clear what is still owed
+        const covered = rows.find((row) => row.investBalance === 0 || row.investCorpus >= row.investBalance);
+
+        const difference = invest.finalNetWorth - prepay.finalNetWorth;
+
+        return {
+            horizonMonths: horizonMonths,
+            winner: Math.abs(difference) < 1 ? 'tie' : (difference > 0 ? 'invest' : 'prepay'),
+            difference: difference,
+            prepay: summarizeSurplusPath(prepay),
+            invest: summarizeSurplusPath(invest),
+            crossoverMonth: crossover ? crossover.month : null,
+            crossoverMonthYear: crossover ? crossover.monthYear : '',
+            coversLoanMonth: covered ? covered.month : null,
+            coversLoanMonthYear: covered ? covered.monthYear : '',
+            breakEvenReturn: findBreakEvenReturn(loanPaths, horizonMonths, settings),
+            rows: rows
+        };
+    }
+
+    /**
+     * Investment return (%) at which investing the surplus ends level with prepaying.
+     * Returns null when investing cannot catch up below a 50% return.
+     */
+    function findBreakEvenReturn(loanPaths, horizonMonths, settings) {
+        const gap = (annualReturn) => {
+            const withReturn = Object.assign({}, settings, { annualReturn: annualReturn });
+            return simulateSurplusPath(loanPaths.invest, loanPaths.budget, horizonMonths, withReturn).finalNetWorth -
+                simulateSurplusPath(loanPaths.prepay, loanPaths.budget, horizonMonths, withReturn).finalNetWorth;
+        };
+
+        let low = 0;
+        let high = 50;
+        if (gap(low) >= 0) {
+            return 0;
+        }
+        if (gap(high) < 0) {
+            return null;
+        }
+
+        // Bisection to within 0.001%
+        while (high - low > 0.001) {
+            const mid = (low + high) / 2;
+            if (gap(mid) < 0) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    // ============================================
+    // BALANCE TRANSFER / REFINANCE
+    // ============================================
+
+    /**
+     * First month the switched loan is no worse off than staying put: payments made
+     * plus the balance still owed, counting the fees paid and any top-up received.
+     * Null when the switch never catches up.
+     */
+    function findRefinanceBreakEven(currentSchedule, newSchedule, fees, topUp) {
+        const months = Math.max(currentSchedule.length, newSchedule.length);
+        let currentPaid = 0;
+        let newPaid = 0;
+
+        for (let index = 0; index < months; index++) {
+            const currentRow = currentSchedule[index];
+            const newRow = newSchedule[index];
+            currentPaid += currentRow ? currentRow.interest + currentRow.principal + currentRow.prepayment : 0;
+            newPaid += newRow ? newRow.interest + newRow.principal : 0;
+
+            const currentBalance = currentRow ? currentRow.balance : 0;
+            const newBalance = newRow ? newRow.balance : 0;
+            if ((currentPaid + currentBalance) - (newPaid + newBalance) - fees + topUp >= 0) {
+                return {
+                    month: index + 1,
+                    monthYear: (newRow || currentRow).monthYear
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Compare staying with the current lender against moving the loan to a new one.
+     * loan: { principal, annualRate, emi } - the outstanding loan today
+     * offer: { annualRate, processingFeePercent, charges, topUp }
+     * - processingFeePercent applies to the amount transferred (top-up included)
+     * - charges are flat legal / valuation charges
+     * options: schedule options of the current loan (rateChanges, startDate, emiDueDay,
+     * interestMethod); the new loan shares its calendar and interest method.
+     *
+     * Two ways to take the new loan:
+     * - sameEmi: keep paying the current EMI and close sooner (null when the EMI no
+     *   longer covers the interest on a topped-up loan)
+     * - sameTenure: keep the remaining tenure and pay a lower EMI
+     * netSavings is the interest saved minus fees; the top-up's own interest counts
+     * against it.
+     */
+    function compareRefinance(loan, offer, options = {}) {
+        const monthlyRate = loan.annualRate / 100 / 12;
+        const currentSchedule = buildAmortizationSchedule(loan.principal, loan.emi, monthlyRate,
+            calculateMonthsToClose(loan.principal, monthlyRate, loan.emi, options.interestMethod), options);
+        const current = summarizeSchedule(currentSchedule);
+
+        const topUp = offer.topUp || 0;
+        const transferAmount = loan.principal + topUp;
+        const processingFee = transferAmount * (offer.processingFeePercent || 0) / 100;
+        const fees = processingFee + (offer.charges || 0);
+        const newMonthlyRate = offer.annualRate / 100 / 12;
+        const newOptions = Object.assign({}, options, { rateChanges: [], prepayments: [], stepUp: null });
+
+        const buildVariant = (mode, emi, months) => {
+            const schedule = buildAmortizationSchedule(transferAmount, emi, newMonthlyRate, months, newOptions);
+            const summary = summarizeSchedule(schedule);
+            const breakEven = findRefinanceBreakEven(currentSchedule, schedule, fees, topUp);
+            return {
+                mode: mode,
+                principal: transferAmount,
+                annualRate: offer.annualRate,
+                emi: emi,
+                months: summary.months,
+                totalInterest: summary.totalInterest,
+                closingMonthYear: summary.closingMonthYear,
+                netSavings: current.totalInterest - summary.totalInterest - fees,
+                breakEvenMonth: breakEven ? breakEven.month : null,
+                breakEvenMonthYear: breakEven ? breakEven.monthYear : ''
+            };
+        };
+
+        const sameEmiMonths = calculateMonthsToClose(transferAmount, newMonthlyRate, loan.emi, options.interestMethod);
+        const sameEmi = isFinite(sameEmiMonths) ? buildVariant('same-emi', loan.emi, sameEmiMonths) : null;
+        const sameTenure = buildVariant('same-tenure',
+            calculateEMI(transferAmount, offer.annualRate, current.months / 12, options.interestMethod), current.months);
+
+        const best = [sameEmi, sameTenure]
+            .filter((variant) => variant && variant.netSavings > 0)
+            .sort((a, b) => b.netSavings - a.netSavings)[0];
+
+        return {
+            transferAmount: transferAmount,
+            processingFee: processingFee,
+            fees: fees,
+            current: {
+                emi: loan.emi,
+                months: current.months,
+                totalInterest: current.totalInterest,
+                closingMonthYear: current.closingMonthYear
+            },
+            sameEmi: sameEmi,
+            sameTenure: sameTenure,
+            recommended: best ? best.mode : null
+        };
+    }
+
+    return {
+        MAX_SCHEDULE_MONTHS: MAX_SCHEDULE_MONTHS,
+        INTEREST_METHODS: INTEREST_METHODS,
+        EMI_ROUNDING_RULES: EMI_ROUNDING_RULES,
+        calculateEMI: calculateEMI,
+        roundEmi: roundEmi,
+        calculateTotalInterest: calculateTotalInterest,
+        calculateRemainingLoan: calculateRemainingLoan,
+        calculateMonthsToClose: calculateMonthsToClose,
+        calculateLoanInterest: calculateLoanInterest,
+        solvePrincipal: solvePrincipal,
+        solveTenure: solveTenure,
+        solveInterestRate: solveInterestRate,
+        RBI_LTV_SLABS: RBI_LTV_SLABS,
+        getMaxLtvLoan: getMaxLtvLoan,
+        calculateLoanEligibility: calculateLoanEligibility,
+        calculateXIRR: calculateXIRR,
+        calculateBorrowingCost: calculateBorrowingCost,
+        buildAmortizationSchedule: buildAmortizationSchedule,
+        summarizeSchedule: summarizeSchedule,
+        addRepaymentProgress: addRepaymentProgress,
+        groupScheduleByYear: groupScheduleByYear,
+        compareInterestMethods: compareInterestMethods,
+        simulatePortfolio: simulatePortfolio,
+        getPrepaymentForMonth: getPrepaymentForMonth,
+        applyStepUp: applyStepUp,
+        sortRateChanges: sortRateChanges,
+        isRateChangeDue: isRateChangeDue,
+        describeRateHistory: describeRateHistory,
+        calculateSIPReturns: calculateSIPReturns,
+        calculateLumpSumReturns: calculateLumpSumReturns,
+        buildSIPSchedule: buildSIPSchedule,
+        solveSIPForGoal: solveSIPForGoal,
+        MAX_SIMULATIONS: MAX_SIMULATIONS,
+        simulateSIPReturns: simulateSIPReturns,
+        comparePrepayVsInvest: comparePrepayVsInvest,
+        compareRefinance: compareRefinance,
+        getFinancialYear: getFinancialYear,
+        getDueDate: getDueDate,
+        getLoanCalendar: getLoanCalendar,
+        countEmisPaid: countEmisPaid,
+        getNextDueDate: getNextDueDate,
+        SECTION_24B_LIMIT: SECTION_24B_LIMIT,
+        calculateTaxBenefits: calculateTaxBenefits
+    };
+}));
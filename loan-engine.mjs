@@ -0,0 +1,57 @@
+/**
+ * ES module entry point for the loan & SIP calculation engine (see loan-engine.js),
+ * for Node and browsers alike
+ */
+import * as engineScript from './loan-engine.js';
+
+// Node loads loan-engine.js as CommonJS and hands module.exports over as the default
+// export. Browsers run it as a module without exports, and its UMD wrapper sets self.LoanEngine.
+const LoanEngine = engineScript.default || globalThis.LoanEngine;
+
+export const {
+    MAX_SCHEDULE_MONTHS,
+    INTEREST_METHODS,
+    EMI_ROUNDING_RULES,
+    calculateEMI,
+    roundEmi,
+    calculateTotalInterest,
+    calculateRemainingLoan,
+    calculateMonthsToClose,
+    calculateLoanInterest,
+    solvePrincipal,
+    solveTenure,
+    solveInterestRate,
+    RBI_LTV_SLABS,
+    getMaxLtvLoan,
+    calculateLoanEligibility,
+    calculateXIRR,
+    calculateBorrowingCost,
+    buildAmortizationSchedule,
+    summarizeSchedule,
+    addRepaymentProgress,
+    groupScheduleByYear,
+    compareInterestMethods,
+    simulatePortfolio,
+    getPrepaymentForMonth,
+    applyStepUp,
+    sortRateChanges,
+    isRateChangeDue,
+    describeRateHistory,
+    calculateSIPReturns,
+    calculateLumpSumReturns,
+    buildSIPSchedule,
+    solveSIPForGoal,
+    MAX_SIMULATIONS,
+    simulateSIPReturns,
+    comparePrepayVsInvest,
+    compareRefinance,
+    getFinancialYear,
+    getDueDate,
+    getLoanCalendar,
+    countEmisPaid,
+    getNextDueDate,
+    SECTION_24B_LIMIT,
+    calculateTaxBenefits
+} = LoanEngine;
+
+export default LoanEngine;
@@ -1,98 +1,211 @@
-// Utility Functions
-
-/**
- * Calculate monthly EMI using the formula:
- * EMI = P × [R(1+R)^N] / [(1+R)^N - 1]
- * Where P = Principal, R = Monthly Interest Rate, N = Number of Months
- */
-function calculateEMI(principal, annualRate, years) {
-    if (principal <= 0 || annualRate < 0 || years <= 0) {
-        return 0;
-    }
+// Calculation engine - pure loan and SIP math lives in loan-engine.js
+const {
+    MAX_SCHEDULE_MONTHS,
+    EMI_ROUNDING_RULES,
+    calculateEMI,
+    roundEmi,
+    calculateMonthsToClose,
+    calculateLoanInterest,
+    solvePrincipal,
+    solveTenure,
+    solveInterestRate,
+    calculateLoanEligibility,
+    calculateBorrowingCost,
+    buildAmortizationSchedule,
+    summarizeSchedule,
+    addRepaymentProgress,
+    groupScheduleByYear,
+    compareInterestMethods,
+    simulatePortfolio,
+    describeRateHistory,
+    calculateLumpSumReturns,
+    buildSIPSchedule,
+    solveSIPForGoal,
+    MAX_SIMULATIONS,
+    simulateSIPReturns,
+    comparePrepayVsInvest,
+    compareRefinance,
+    SECTION_24B_LIMIT,
+    calculateTaxBenefits,
+    getDueDate,
+    getLoanCalendar,
+    countEmisPaid,
+    getNextDueDate
+} = LoanEngine;
 
-    const monthlyRate = annualRate / 100 / 12;
-    const numberOfMonths = years * 12;
+// ============================================
+// DISPLAY SETTINGS
+// ============================================
 
-    if (monthlyRate === 0) {
-        return principal / numberOfMonths;
+const SETTINGS_STORAGE_KEY = 'loanCalcSettings';
+
+// Currencies offered in the settings panel
+const CURRENCY_SYMBOLS = {
+    INR: '₹',
+    USD: '$',
+    EUR: '€',
+    GBP: '£',
+    AED: 'AED '
+};
+
+// Digit grouping: lakh / crore (12,34,567) or thousand / million (1,234,567)
+const NUMBER_LOCALES = {
+    indian: 'en-IN',
+    international: 'en-US'
+};
+
+// EMI rounding rules as named in exports
+const EMI_ROUNDING_NAMES = {
+    exact: 'Exact (to the paisa)',
+    up: 'Rounded up to the rupee',
+    down: 'Rounded down to the rupee',
+    nearest: 'Rounded to the nearest rupee'
+};
+
+// Schedules are kept to the paisa (2 decimals) or to the whole rupee
+const AMOUNT_PRECISIONS = ['paisa', 'rupee'];
+
+const DEFAULT_SETTINGS = { currency: 'INR', numberSystem: 'indian', emiRounding: 'exact', precision: 'paisa' };
+
+function loadDisplaySettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null') || {};
+        return {
+            currency: CURRENCY_SYMBOLS[stored.currency] ? stored.currency : DEFAULT_SETTINGS.currency,
+            numberSystem: NUMBER_LOCALES[stored.numberSystem] ? stored.numberSystem : DEFAULT_SETTINGS.numberSystem,
+            emiRounding: EMI_ROUNDING_RULES.includes(stored.emiRounding) ? stored.emiRounding : DEFAULT_SETTINGS.emiRounding,
+            precision: AMOUNT_PRECISIONS.includes(stored.precision) ? stored.precision : DEFAULT_SETTINGS.precision
+        };
+    } catch (error) {
+        console.error('Could not read display settings', error);
+        return Object.assign({}, DEFAULT_SETTINGS);
     }
+}
 
-    const emi = (principal * monthlyRate * Math.pow(1 + monthlyRate, numberOfMonths)) /
-        (Math.pow(1 + monthlyRate, numberOfMonths) - 1);
+window.displaySettings = loadDisplaySettings();
 
-    return isFinite(emi) ? emi : 0;
+function getCurrencySymbol() {
+    return CURRENCY_SYMBOLS[window.displaySettings.currency];
 }
 
 /**
- * Calculate total interest for a given EMI
+ * Rounding policy for the engine's schedules (see loan-engine.js EMI_ROUNDING_RULES)
  */
-function calculateTotalInterest(principal, emi, years) {
-    return (emi * years * 12) - principal;
+function getRoundingPolicy() {
+    return { emi: window.displaySettings.emiRounding, precision: window.displaySettings.precision };
 }
 
 /**
- * Format number as currency
+ * Apply the settings panel: save the choice, relabel the forms and redraw
+ * every calculated result, report and chart in the new format.
+ * A new currency also switches to its usual digit grouping.
  */
-function formatCurrency(amount) {
-    return '₹' + Math.round(amount).toLocaleString('en-IN');
+function updateDisplaySettings(currencyChanged) {
+    const currency = document.getElementById('settingsCurrency').value;
+    if (currencyChanged) {
+        document.getElementById('settingsNumberSystem').value = currency === 'INR' ? 'indian' : 'international';
+    }
+
+    window.displaySettings = {
+        currency: currency,
+        numberSystem: document.getElementById('settingsNumberSystem').value,
+        emiRounding: document.getElementById('settingsEmiRounding').value,
+        precision: document.getElementById('settingsPrecision').value
+    };
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(window.displaySettings));
+    } catch (error) {
+        alert('Could not save settings in this browser: ' + error.message);
+    }
+
+    applyDisplaySettings();
+    refreshCalculatedResults();
 }
 
 /**
- * Format number to 2 decimal places
+ * Show the current settings in the panel and in the currency labels of the forms
  */
-function formatNumber(num) {
-    return parseFloat(num).toFixed(2);
+function applyDisplaySettings() {
+    document.getElementById('settingsCurrency').value = window.displaySettings.currency;
+    document.getElementById('settingsNumberSystem').value = window.displaySettings.numberSystem;
+    document.getElementById('settingsEmiRounding').value = window.displaySettings.emiRounding;
+    document.getElementById('settingsPrecision').value = window.displaySettings.precision;
+    document.querySelectorAll('.currency-symbol').forEach((label) => {
+        label.textContent = getCurrencySymbol().trim();
+    });
 }
 
 /**
- * Calculate remaining loan after given months
+ * Re-run the calculators that have results, then reopen the report that was showing
  */
-function calculateRemainingLoan(principal, monthlyRate, emi, months) {
-    if (monthlyRate === 0) {
-        return Math.max(0, principal - (emi * months));
-    }
+function refreshCalculatedResults() {
+    const activeTab = document.querySelector('.tab-btn.active').dataset.tab;
+    const report = window.currentReportData;
+    const reportSource = report && report.source;
 
-    let remaining = principal;
-    for (let i = 0; i < months; i++) {
-        const interest = remaining * monthlyRate;
-        remaining = remaining + interest - emi;
-        if (remaining <= 0) {
-            return 0;
-        }
+    Object.keys(window.linkSnapshots).forEach((tabId) => {
+        rerunTabCalculation(tabId, collectTabInputs(tabId));
+    });
+    if (reportSource) {
+        openLinkedReport(reportSource);
     }
-    return Math.max(0, remaining);
+    renderReportComparison();
+
+    document.querySelector(`[data-tab="${activeTab}"]`).click();
 }
 
+// Utility Functions
+
 /**
- * Calculate months to close a loan
+ * Format number as currency, in the currency and digit grouping chosen in settings.
+ * Whole units unless fractionDigits asks for paisa.
  */
-function calculateMonthsToClose(principal, monthlyRate, emi) {
-    if (emi <= 0 || principal <= 0) {
-        return 0;
+function formatCurrency(amount, fractionDigits = 0) {
+    const locale = NUMBER_LOCALES[window.displaySettings.numberSystem];
+    if (fractionDigits > 0) {
+        return getCurrencySymbol() + amount.toLocaleString(locale, {
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits
+        });
     }
+    return getCurrencySymbol() + Math.round(amount).toLocaleString(locale);
+}
 
-    if (monthlyRate === 0) {
-        return Math.ceil(principal / emi);
-    }
+/**
+ * Format an EMI or schedule amount at the precision chosen in settings,
+ * so report rows visibly add up to their totals
+ */
+function formatScheduleAmount(amount) {
+    return formatCurrency(amount, window.displaySettings.precision === 'paisa' ? 2 : 0);
+}
 
-    if (emi <= principal * monthlyRate) {
-        return Infinity; // EMI is not enough to cover interest
+/**
+ * Short amount for chart axes: 12.5L / 1.2Cr, or 125.0K / 1.2M
+ */
+function formatCompactCurrency(value) {
+    const symbol = getCurrencySymbol();
+    if (window.displaySettings.numberSystem === 'indian') {
+        return Math.abs(value) >= 10000000 ?
+            symbol + (value / 10000000).toFixed(1) + 'Cr' :
+            symbol + (value / 100000).toFixed(1) + 'L';
     }
+    return Math.abs(value) >= 1000000 ?
+        symbol + (value / 1000000).toFixed(1) + 'M' :
+        symbol + (value / 1000).toFixed(1) + 'K';
+}
 
-    let months = 0;
-    let remaining = principal;
-
-    while (remaining > 0 && months < 600) { // 50 years max
-        const interest = remaining * monthlyRate;
-        remaining = remaining + interest - emi;
-        months++;
-
-        if (remaining <= 0) {
-            return months;
-        }
-    }
+/**
+ * Format number to 2 decimal places
+ */
+function formatNumber(num) {
+    return parseFloat(num).toFixed(2);
+}
 
-    return months;
+/**
+ * Format a date as 05 Feb 2025
+ */
+function formatDate(date) {
+    return new Date(date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
 }
 
 // ============================================
@@ -100,6 +213,12 @@ function calculateMonthsToClose(principal, monthlyRate, emi) {
 // ============================================
 
 function calculateTab1() {
+    // Fill in the unknown first, then calculate as usual
+    const solved = solveTab1Unknown();
+    if (solved === false) {
+        return;
+    }
+
     const principal = parseFloat(document.getElementById('principal1').value);
     const interest = parseFloat(document.getElementById('interest1').value);
     const years = parseFloat(document.getElementById('years1').value) || 0;
@@ -124,17 +243,34 @@ function calculateTab1() {
         return;
     }
 
+    const rateChanges = getRateRevisions('tab1');
+    const interestMethod = document.getElementById('interestMethod1').value;
+    const calendar = readLoanCalendar('1', principal, interest);
+    if (calendar === false) {
+        return;
+    }
+    const scheduleOptions = withLoanTerms({ calendar: calendar, interestMethod: interestMethod }, {});
+    const rounding = scheduleOptions.rounding;
+    const charges = readLoanCharges();
+    if (charges === false) {
+        return;
+    }
+    const costOptions = Object.assign({}, scheduleOptions, { rateChanges: rateChanges });
+
     // Calculate EMI for the given duration
-    const emi = calculateEMI(principal, interest, totalYears);
-    const totalInterest = calculateTotalInterest(principal, emi, totalYears);
+    const emi = roundEmi(calculateEMI(principal, interest, totalYears, interestMethod), rounding);
+    const totalInterest = calculateLoanInterest(principal, interest, totalYears, emi, rateChanges, scheduleOptions);
     const totalAmount = principal + totalInterest;
 
     // Display main EMI
-    document.getElementById('emiValue').textContent = formatCurrency(emi);
+    document.getElementById('emiValue').textContent = formatScheduleAmount(emi);
 
-    // Calculate average principal and interest per month
-    const avgInterestPerMonth = (totalInterest / (totalYears * 12));
-    const avgPrincipalPerMonth = emi - avgInterestPerMonth;
+    // Calculate average principal and interest per month, over the months the
+    // schedule actually runs (rate revisions can stretch it past the planned tenure)
+    const monthsToClose = summarizeSchedule(buildAmortizationSchedule(principal, emi, interest / 100 / 12,
+        totalYears * 12, costOptions)).months;
+    const avgInterestPerMonth = totalInterest / monthsToClose;
+    const avgPrincipalPerMonth = principal / monthsToClose;
 
     // Display breakdown
     document.getElementById('avgPrincipal').textContent = formatCurrency(avgPrincipalPerMonth);
@@ -154,9 +290,10 @@ function calculateTab1() {
 
     durations.forEach((duration) => {
         if (duration <= totalYears) {
-            const durationEMI = calculateEMI(principal, interest, duration);
-            const durationInterest = calculateTotalInterest(principal, durationEMI, duration);
+            const durationEMI = roundEmi(calculateEMI(principal, interest, duration, interestMethod), rounding);
+            const durationInterest = calculateLoanInterest(principal, interest, duration, durationEMI, rateChanges, scheduleOptions);
             const durationTotal = principal + durationInterest;
+            const durationCost = calculateBorrowingCost(principal, interest, Math.round(duration * 12), charges, costOptions);
 
             const isSelected = duration === totalYears;
             const isBest = durationInterest < minInterest;
@@ -185,6 +322,7 @@ function calculateTab1() {
                     <td>${formatCurrency(durationEMI)}</td>
                     <td>${formatCurrency(durationInterest)}</td>
                     <td>${formatCurrency(durationTotal)}</td>
+                    <td>${formatNumber(durationCost.effectiveRate)}%</td>
                     <td><button class="btn-report" onclick="generateAmortizationReportForDuration(${principal}, ${interest}, ${duration})">📋 Report</button></td>
                     <td>${badge}</td>
                 </tr>
@@ -196,7 +334,7 @@ function calculateTab1() {
 
     // Display best option recommendation
     if (bestOption) {
-        const savingsVsSelected = minInterest - (emi * totalYears * 12 - principal);
+        const savingsVsSelected = minInterest - totalInterest;
         
         // Format duration display for best option
         const bestYears = Math.floor(bestOption.duration);
@@ -228,12 +366,326 @@ function calculateTab1() {
         principal: principal,
         annualRate: interest,
         emi: emi,
-        years: totalYears
+        years: totalYears,
+        rateChanges: rateChanges,
+        interestMethod: interestMethod,
+        calendar: calendar,
+        charges: charges
     };
 
+    renderLoanDatesTab1(calendar, Math.round(totalYears * 12));
+    renderBorrowingCostTab1(calculateBorrowingCost(principal, interest, Math.round(totalYears * 12), charges, costOptions), emi);
+    renderSolveResult(solved);
+
     // Show results
     document.getElementById('tab1Results').style.display = 'block';
     document.getElementById('recalculateSection').style.display = 'block';
+
+    recordCalculation('tab1');
+}
+
+// ============================================
+// TAB 1: SOLVE FOR
+// ============================================
+
+// Fields each unknown replaces on the EMI Calculator
+const SOLVE_FOR_FIELDS = {
+    emi: ['emi1'],
+    principal: ['principal1'],
+    rate: ['interest1'],
+    tenure: ['years1', 'months1']
+};
+
+/**
+ * Show the EMI field when it becomes an input and lock the field being solved
+ */
+function updateSolveFor() {
+    const solveFor = document.getElementById('solveFor1').value;
+    document.getElementById('emiGroup1').style.display = solveFor === 'emi' ? 'none' : 'block';
+
+    Object.keys(SOLVE_FOR_FIELDS).forEach((unknown) => {
+        SOLVE_FOR_FIELDS[unknown].forEach((id) => {
+            document.getElementById(id).disabled = unknown === solveFor && unknown !== 'emi';
+        });
+    });
+    document.getElementById('solveResultTab1').style.display = 'none';
+}
+
+/**
+ * Solve the EMI Calculator's unknown (principal, rate or tenure) from the other
+ * fields and write it into its field. Returns what was solved, null when solving
+ * for the EMI, or false after alerting about missing inputs or an unsolvable loan.
+ */
+function solveTab1Unknown() {
+    const solveFor = document.getElementById('solveFor1').value;
+    if (solveFor === 'emi') {
+        return null;
+    }
+
+    const principal = parseFloat(document.getElementById('principal1').value);
+    const interest = parseFloat(document.getElementById('interest1').value);
+    const years = parseFloat(document.getElementById('years1').value) || 0;
+    const months = parseFloat(document.getElementById('months1').value) || 0;
+    const emi = parseFloat(document.getElementById('emi1').value);
+    const totalYears = years + (months / 12);
+    const interestMethod = document.getElementById('interestMethod1').value;
+
+    if (isNaN(emi) || emi <= 0) {
+        alert('Please enter the monthly EMI');
+        return false;
+    }
+    if (solveFor !== 'principal' && (isNaN(principal) || principal <= 0)) {
+        alert('Please enter a valid principal amount');
+        return false;
+    }
+    if (solveFor !== 'rate' && (isNaN(interest) || interest < 0)) {
+        alert('Please enter a valid interest rate');
+        return false;
+    }
+    if (solveFor !== 'tenure' && totalYears <= 0) {
+        alert('Please enter loan duration (years and/or months)');
+        return false;
+    }
+
+    try {
+        if (solveFor === 'principal') {
+            // Round down so the loan stays within the EMI
+            const maxPrincipal = Math.floor(solvePrincipal(emi, interest, totalYears, interestMethod));
+            document.getElementById('principal1').value = maxPrincipal;
+            return { solveFor: solveFor, emi: emi, value: maxPrincipal };
+        }
+
+        if (solveFor === 'rate') {
+            const rate = Math.round(solveInterestRate(principal, emi, totalYears, interestMethod) * 10000) / 10000;
+            document.getElementById('interest1').value = rate;
+            return { solveFor: solveFor, emi: emi, value: rate };
+        }
+
+        const tenureMonths = solveTenure(principal, interest, emi, interestMethod);
+        if (tenureMonths > MAX_SCHEDULE_MONTHS) {
+            alert(`This EMI needs ${(tenureMonths / 12).toFixed(1)} years to repay the loan, longer than the 50 year limit`);
+            return false;
+        }
+        document.getElementById('years1').value = Math.floor(tenureMonths / 12);
+        document.getElementById('months1').value = tenureMonths % 12;
+        return { solveFor: solveFor, emi: emi, value: tenureMonths };
+    } catch (error) {
+        alert(error.message);
+        return false;
+    }
+}
+
+function renderSolveResult(solved) {
+    const container = document.getElementById('solveResultTab1');
+    if (!solved) {
+        container.style.display = 'none';
+        return;
+    }
+
+    let message;
+    if (solved.solveFor === 'principal') {
+        message = `An EMI of <span class="highlight">${formatCurrency(solved.emi)}</span> repays a loan of up to
+            <span class="highlight">${formatCurrency(solved.value)}</span>.`;
+    } else if (solved.solveFor === 'rate') {
+        message = `An EMI of <span class="highlight">${formatCurrency(solved.emi)}</span> on this loan means an interest rate of
+            <span class="highlight">${solved.value.toFixed(4)}%</span> a year.`;
+    } else {
+        const years = Math.floor(solved.value / 12);
+        const months = solved.value % 12;
+        message = `An EMI of <span class="highlight">${formatCurrency(solved.emi)}</span> repays this loan in
+            <span class="highlight">${solved.value} months (${years} years${months > 0 ? ' ' + months + ' months' : ''})</span>.
+            The EMI below is the level EMI for that tenure.`;
+    }
+
+    container.innerHTML = `<p><strong>Solved:</strong> ${message}</p>`;
+    container.style.display = 'block';
+}
+
+// ============================================
+// TAB 1: FEES AND CHARGES
+// ============================================
+
+/**
+ * Charges entered for a new loan, for calculateBorrowingCost. Blank fields count as 0.
+ */
+function readLoanCharges() {
+    const charges = {
+        processingFeePercent: parseFloat(document.getElementById('processingFee1').value) || 0,
+        stampDuty: parseFloat(document.getElementById('stampDuty1').value) || 0,
+        insurancePremium: parseFloat(document.getElementById('insurancePremium1').value) || 0,
+        insuranceFinanced: document.getElementById('insurancePaid1').value === 'financed',
+        annualCharges: parseFloat(document.getElementById('annualCharges1').value) || 0
+    };
+
+    if (charges.processingFeePercent < 0 || charges.processingFeePercent > 10) {
+        alert('Please enter a processing fee between 0 and 10%');
+        return false;
+    }
+
+    if (charges.stampDuty < 0 || charges.insurancePremium < 0 || charges.annualCharges < 0) {
+        alert('Please enter stamp duty, insurance and annual charges of 0 or more');
+        return false;
+    }
+
+    return charges;
+}
+
+function renderBorrowingCostTab1(cost, emi) {
+    const financedNote = cost.loanAmount > window.tab1Data.principal ? `
+        <p>The insurance premium is added to the loan: you borrow <span class="highlight">${formatCurrency(cost.loanAmount)}</span>
+            and the EMI becomes <span class="highlight">${formatCurrency(cost.emi)}</span> instead of ${formatCurrency(emi)}.</p>
+    ` : '';
+
+    document.getElementById('borrowingCostTab1').innerHTML = `
+        <p><strong>Effective Annual Rate (XIRR):</strong> <span class="highlight">${formatNumber(cost.effectiveRate)}%</span>
+            against a nominal ${formatNumber(cost.nominalRate)}%</p>
+        <p><strong>Upfront Charges:</strong> ${formatCurrency(cost.upfrontCharges)} ·
+            <strong>Annual Charges:</strong> ${formatCurrency(cost.recurringCharges)} over the loan</p>
+        <p><strong>Total Cost of Borrowing:</strong> ${formatCurrency(cost.totalCost)} (interest and charges)</p>
+        ${financedNote}
+    `;
+    document.getElementById('borrowingCostTab1').style.display = 'block';
+}
+
+// ============================================
+// TAB 7: LOAN ELIGIBILITY
+// ============================================
+
+function calculateEligibility() {
+    const income = parseFloat(document.getElementById('eligIncome').value);
+    const coIncome = parseFloat(document.getElementById('eligCoIncome').value) || 0;
+    const existingEmis = parseFloat(document.getElementById('eligExistingEmi').value) || 0;
+    const foir = parseFloat(document.getElementById('eligFoir').value);
+    const rate = parseFloat(document.getElementById('eligRate').value);
+    const maxTenure = parseInt(document.getElementById('eligMaxTenure').value, 10);
+    const age = parseFloat(document.getElementById('eligAge').value);
+    const retirementAge = parseFloat(document.getElementById('eligRetirementAge').value);
+    const propertyValue = parseFloat(document.getElementById('eligPropertyValue').value) || 0;
+    const ltv = document.getElementById('eligLtv').value;
+
+    // Validation
+    if (isNaN(income) || isNaN(rate) || isNaN(age)) {
+        alert('Please fill in net monthly income, interest rate and age');
+        return;
+    }
+
+    if (income <= 0 || coIncome < 0 || existingEmis < 0 || rate < 0 || propertyValue < 0) {
+        alert('Please enter valid values for income, EMIs, interest rate and property value');
+        return;
+    }
+
+    if (isNaN(foir) || foir <= 0 || foir > 100) {
+        alert('Please enter a FOIR limit between 1 and 100%');
+        return;
+    }
+
+    if (isNaN(maxTenure) || maxTenure <= 0 || maxTenure > 50 || isNaN(retirementAge)) {
+        alert('Please enter the lender\'s maximum tenure (up to 50 years) and the retirement age');
+        return;
+    }
+
+    let result;
+    try {
+        result = calculateLoanEligibility({
+            monthlyIncome: income,
+            coApplicantIncome: coIncome,
+            existingEmis: existingEmis,
+            foir: foir,
+            annualRate: rate,
+            age: age,
+            retirementAge: retirementAge,
+            maxTenureYears: maxTenure,
+            propertyValue: propertyValue,
+            ltvSlabs: ltv === 'rbi' ? undefined : [{ upTo: Infinity, ratio: parseFloat(ltv) / 100 }]
+        });
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    document.getElementById('eligLoanValue').textContent = formatCurrency(result.eligibleLoan);
+    document.getElementById('eligEmiValue').textContent = formatCurrency(result.emi);
+    document.getElementById('eligTenureValue').textContent = result.tenureYears + ' years';
+
+    const tenureDetail = result.tenureLimit === 'age' ?
+        `${retirementAge - age} years to retirement at ${retirementAge} (lender allows ${maxTenure})` :
+        `Lender's maximum (retirement at ${retirementAge} is further away)`;
+    const ltvLabel = ltv === 'rbi' ? 'RBI slabs' : ltv + '% LTV';
+
+    document.getElementById('eligLimitBody').innerHTML = `
+        <tr class="${result.bindingConstraint === 'foir' ? 'best-row' : ''}">
+            <td>Income (FOIR ${foir}%)</td>
+            <td>${formatCurrency(result.incomeLimit)}</td>
+            <td>EMIs up to ${formatCurrency(result.maxObligations)} a month on ${formatCurrency(result.totalIncome)} income,
+                ${formatCurrency(result.availableEmi)} after existing EMIs</td>
+        </tr>
+        <tr class="${result.bindingConstraint === 'ltv' ? 'best-row' : ''}">
+            <td>Property Value (${ltvLabel})</td>
+            <td>${isFinite(result.ltvLimit) ? formatCurrency(result.ltvLimit) : 'No limit'}</td>
+            <td>${propertyValue > 0 ? 'Against a property worth ' + formatCurrency(propertyValue) : 'No property value entered'}</td>
+        </tr>
+        <tr>
+            <td>Tenure (age)</td>
+            <td>${result.tenureYears} years</td>
+            <td>${tenureDetail}</td>
+        </tr>
+    `;
+
+    const binding = result.bindingConstraint === 'ltv' ?
+        `The <strong>property value</strong> limits your loan to ${formatCurrency(result.ltvLimit)} (${ltvLabel}), while your income
+            would support ${formatCurrency(result.incomeLimit)}. You need a down payment of
+            <span class="highlight">${formatCurrency(propertyValue - result.eligibleLoan)}</span>.` :
+        `Your <strong>income</strong> limits your loan: at a FOIR of ${foir}% you can take on an EMI of up to
+            ${formatCurrency(result.availableEmi)}.${propertyValue > 0 ?
+                ` You need a down payment of <span class="highlight">${formatCurrency(propertyValue - result.eligibleLoan)}</span>.` : ''}`;
+
+    document.getElementById('eligBinding').innerHTML = `
+        <p>${binding}</p>
+        <p><strong>Tenure:</strong> ${result.tenureYears} years,
+            ${result.tenureLimit === 'age' ? 'capped by the retirement age' : 'the lender\'s maximum'}</p>
+        <p><strong>FOIR Used:</strong> <span class="highlight">${formatNumber(result.foirUsed)}%</span> of your income, existing EMIs included</p>
+    `;
+
+    // Store data for the EMI Calculator
+    window.eligibilityData = {
+        principal: result.eligibleLoan,
+        annualRate: rate,
+        years: result.tenureYears
+    };
+
+    document.getElementById('eligibilityResults').style.display = 'block';
+
+    recordCalculation('tab7');
+}
+
+/**
+ * Carry the eligible loan into the EMI Calculator and calculate it there
+ */
+function navigateToEmiCalculatorWithData() {
+    const data = window.eligibilityData;
+    if (!data) {
+        alert('Please check your eligibility first');
+        return;
+    }
+
+    // Pre-fill the EMI Calculator form
+    document.getElementById('solveFor1').value = 'emi';
+    updateSolveFor();
+    document.getElementById('principal1').value = data.principal;
+    document.getElementById('interest1').value = data.annualRate;
+    document.getElementById('years1').value = data.years;
+    document.getElementById('months1').value = 0;
+
+    calculateTab1();
+
+    // Switch to tab1
+    const tab1Button = document.querySelector('[data-tab="tab1"]');
+    if (tab1Button) {
+        tab1Button.click();
+    }
+
+    // Scroll to top
+    window.scrollTo(0, 0);
 }
 
 // ============================================
@@ -241,6 +693,9 @@ function calculateTab1() {
 // ============================================
 
 function calculateTab2() {
+    // Reports of an additional payment belong to the previous loan
+    window.tab2ReportData = null;
+
     const principal = parseFloat(document.getElementById('currentPrincipal').value);
     const interest = parseFloat(document.getElementById('currentInterest').value);
     const emi = parseFloat(document.getElementById('currentEmi').value);
@@ -264,10 +719,26 @@ function calculateTab2() {
         return;
     }
 
-    // Calculate months and years to complete
-    const monthsToComplete = calculateMonthsToClose(principal, monthlyRate, emi);
+    const rateChanges = getRateRevisions('tab2');
+    const interestMethod = document.getElementById('interestMethod2').value;
+    const calendar = readLoanCalendar('2', principal, interest);
+    if (calendar === false) {
+        return;
+    }
+
+    // Follow the schedule, so floating rates, the interest method and the rounding
+    // policy give the same months and interest as the report
+    const outcome = summarizeSchedule(buildAmortizationSchedule(principal, emi, monthlyRate,
+        calculateMonthsToClose(principal, monthlyRate, emi, interestMethod), withLoanTerms({
+            calendar: calendar,
+            interestMethod: interestMethod
+        }, {
+            rateChanges: rateChanges
+        })));
+    const monthsToComplete = outcome.months;
+    const totalInterest = outcome.totalInterest;
+
     const yearsToComplete = (monthsToComplete / 12).toFixed(1);
-    const totalInterest = (emi * monthsToComplete) - principal;
 
     // Display current info
     document.getElementById('currentEmiDisplay').textContent = formatCurrency(emi);
@@ -281,15 +752,26 @@ function calculateTab2() {
         currentEmi: emi,
         monthsToComplete: monthsToComplete,
         yearsToComplete: yearsToComplete,
-        totalInterest: totalInterest
+        totalInterest: totalInterest,
+        rateChanges: rateChanges,
+        interestMethod: interestMethod,
+        calendar: calendar
     };
 
+    renderLoanDatesTab2(calendar, monthsToComplete);
+
     // Show results
     document.getElementById('tab2Results').style.display = 'block';
 
-    // Reset additional payment section
+    // Reset additional payment and prepayment sections
     document.getElementById('additionalPayment').value = '';
     document.getElementById('additionalResults').style.display = 'none';
+    document.getElementById('prepaymentResults').style.display = 'none';
+    document.getElementById('stepUpResults').style.display = 'none';
+    document.getElementById('pviResults').style.display = 'none';
+    document.getElementById('refiResults').style.display = 'none';
+
+    recordCalculation('tab2');
 }
 
 function calculateAdditionalPayment() {
@@ -313,10 +795,15 @@ function calculateAdditionalPayment() {
     const data = window.tab2Data;
     const newEmi = data.currentEmi + additionalAmount;
 
-    // Calculate months to complete with new EMI
-    const newMonthsToComplete = calculateMonthsToClose(data.principal, data.monthlyRate, newEmi);
+    // Months and interest with the new EMI, from the schedule like calculateTab2
+    const outcome = summarizeSchedule(buildAmortizationSchedule(data.principal, newEmi, data.monthlyRate,
+        calculateMonthsToClose(data.principal, data.monthlyRate, newEmi, data.interestMethod), withLoanTerms(data, {
+            rateChanges: data.rateChanges
+        })));
+    const newMonthsToComplete = outcome.months;
+    const newTotalInterest = outcome.totalInterest;
+
     const newYearsToComplete = (newMonthsToComplete / 12).toFixed(1);
-    const newTotalInterest = (newEmi * newMonthsToComplete) - data.principal;
 
     // Calculate savings
     const monthsSaved = data.monthsToComplete - newMonthsToComplete;
@@ -369,204 +856,508 @@ function calculateAdditionalPayment() {
         newEmi: newEmi,
         monthlyRate: data.monthlyRate,
         monthsToComplete: data.monthsToComplete,
-        newMonthsToComplete: newMonthsToComplete
+        newMonthsToComplete: newMonthsToComplete,
+        rateChanges: data.rateChanges,
+        interestMethod: data.interestMethod,
+        calendar: data.calendar
     };
 
     // Show results
     document.getElementById('additionalResults').style.display = 'block';
+
+    recordCalculation('tab2');
 }
 
 // ============================================
-// REMAINING LOAN AMORTIZATION REPORT
+// TAB 2: PART-PREPAYMENTS
 // ============================================
 
-function generateRemainingLoanReport(reportType) {
-    if (!window.tab2ReportData) {
-        alert('Please calculate additional payment first');
-        return;
-    }
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
-    const data = window.tab2ReportData;
-    const principal = data.principal;
-    const annualRate = data.annualRate;
-    const monthlyRate = data.monthlyRate;
-    
-    let emi, totalMonths, reportTitle;
+// Prepayment entries edited in the Remaining Loan tab
+window.prepaymentEntries = [];
 
-    if (reportType === 'current') {
-        emi = data.currentEmi;
-        totalMonths = data.monthsToComplete;
-        reportTitle = 'Current EMI';
+function addPrepaymentEntry() {
+    window.prepaymentEntries.push({
+        type: 'once',
+        amount: 0,
+        month: 12,
+        calendarMonth: 2,
+        mode: 'tenure'
+    });
+    renderPrepaymentEntries();
+}
+
+function removePrepaymentEntry(index) {
+    window.prepaymentEntries.splice(index, 1);
+    renderPrepaymentEntries();
+}
+
+function updatePrepaymentEntry(index, field, value) {
+    const entry = window.prepaymentEntries[index];
+    if (field === 'type' || field === 'mode') {
+        entry[field] = value;
     } else {
-        emi = data.newEmi;
-        totalMonths = data.newMonthsToComplete;
-        reportTitle = 'With Additional Payment';
+        entry[field] = parseFloat(value) || 0;
     }
 
-    // Display report info
-    document.getElementById('reportPrincipal').textContent = formatCurrency(principal);
-    document.getElementById('reportRate').textContent = annualRate.toFixed(2) + '%';
-    document.getElementById('reportEmi').textContent = formatCurrency(emi);
-    document.getElementById('reportDuration').textContent = reportTitle + ' (' + (totalMonths / 12).toFixed(1) + ' years)';
-    document.getElementById('reportInfo').style.display = 'block';
+    // Month labels and the calendar month picker depend on the type
+    if (field === 'type') {
+        renderPrepaymentEntries();
+    }
+}
 
-    // Generate amortization table
-    generateReportTable(principal, emi, monthlyRate, totalMonths);
+function renderPrepaymentEntries() {
+    const container = document.getElementById('prepaymentList');
 
-    // Switch to tab3
-    const tab3Button = document.querySelector('[data-tab="tab3"]');
-    if (tab3Button) {
-        tab3Button.click();
+    if (window.prepaymentEntries.length === 0) {
+        container.innerHTML = '<p class="empty-message">No prepayments added yet</p>';
+        return;
     }
+
+    container.innerHTML = window.prepaymentEntries.map((entry, index) => {
+        const monthLabel = entry.type === 'once' ? 'In Loan Month' : 'From Loan Month';
+        const calendarMonthField = entry.type === 'yearly' ? `
+            <div class="form-group">
+                <label>Every</label>
+                <select onchange="updatePrepaymentEntry(${index}, 'calendarMonth', this.value)">
+                    ${MONTH_NAMES.map((name, monthIndex) => 
+                        `<option value="${monthIndex}" ${monthIndex === entry.calendarMonth ? 'selected' : ''}>${name}</option>`
+                    ).join('')}
+                </select>
+            </div>
+        ` : '';
+
+        return `
+            <div class="schedule-entry">
+                <div class="form-group">
+                    <label>Type</label>
+                    <select onchange="updatePrepaymentEntry(${index}, 'type', this.value)">
+                        <option value="once" ${entry.type === 'once' ? 'selected' : ''}>One-time</option>
+                        <option value="yearly" ${entry.type === 'yearly' ? 'selected' : ''}>Every year</option>
+                        <option value="monthly" ${entry.type === 'monthly' ? 'selected' : ''}>Every month</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Amount (<span class="currency-symbol">${getCurrencySymbol().trim()}</span>)</label>
+                    <input type="number" min="0" step="1000" value="${escapeHtml(entry.amount || '')}" placeholder="Amount"
+                        onchange="updatePrepaymentEntry(${index}, 'amount', this.value)">
+                </div>
+                <div class="form-group">
+                    <label>${monthLabel}</label>
+                    <input type="number" min="1" max="600" step="1" value="${escapeHtml(entry.month)}"
+                        onchange="updatePrepaymentEntry(${index}, 'month', this.value)">
+                </div>
+                ${calendarMonthField}
+                <div class="form-group">
+                    <label>Bank Applies It To</label>
+                    <select onchange="updatePrepaymentEntry(${index}, 'mode', this.value)">
+                        <option value="tenure" ${entry.mode === 'tenure' ? 'selected' : ''}>Reduce tenure</option>
+                        <option value="emi" ${entry.mode === 'emi' ? 'selected' : ''}>Reduce EMI</option>
+                    </select>
+                </div>
+                <button class="btn-remove" title="Remove prepayment" onclick="removePrepaymentEntry(${index})">✕</button>
+            </div>
+        `;
+    }).join('');
 }
 
-// ============================================
-// AMORTIZATION REPORT
-// ============================================
+function calculatePrepaymentImpact() {
+    if (!window.tab2Data) {
+        alert('Please calculate remaining loan first');
+        return;
+    }
 
-function generateAmortizationReportForDuration(principal, annualRate, years) {
-    // Calculate EMI for given parameters
-    const emi = calculateEMI(principal, annualRate, years);
-    const monthlyRate = annualRate / 100 / 12;
-    const totalMonths = years * 12;
-    
-    // Store current report data for Excel export
-    window.currentReportData = {
-        principal: principal,
-        annualRate: annualRate,
-        emi: emi,
-        years: years
-    };
-    
-    // Display report info
-    document.getElementById('reportPrincipal').textContent = formatCurrency(principal);
-    document.getElementById('reportRate').textContent = annualRate.toFixed(2) + '%';
-    document.getElementById('reportEmi').textContent = formatCurrency(emi);
-    document.getElementById('reportDuration').textContent = years + ' years';
-    document.getElementById('reportInfo').style.display = 'block';
+    const entries = window.prepaymentEntries
+        .filter((entry) => entry.amount > 0)
+        .map((entry) => Object.assign({}, entry));
 
-    // Generate amortization table
-    generateReportTable(principal, emi, monthlyRate, totalMonths);
+    if (entries.length === 0) {
+        alert('Please add at least one prepayment with an amount greater than 0');
+        return;
+    }
 
-    // Switch to tab3
-    const tab3Button = document.querySelector('[data-tab="tab3"]');
-    if (tab3Button) {
-        tab3Button.click();
+    const data = window.tab2Data;
+    const withoutSchedule = buildAmortizationSchedule(data.principal, data.currentEmi, data.monthlyRate, data.monthsToComplete, withLoanTerms(data, {
+        rateChanges: data.rateChanges
+    }));
+    const withSchedule = buildAmortizationSchedule(data.principal, data.currentEmi, data.monthlyRate, data.monthsToComplete, withLoanTerms(data, {
+        prepayments: entries,
+        rateChanges: data.rateChanges
+    }));
+
+    const without = summarizeSchedule(withoutSchedule);
+    const withPrepayments = summarizeSchedule(withSchedule);
+
+    if (withPrepayments.totalPrepaid === 0) {
+        alert('None of the prepayments fall within the remaining loan tenure');
+        return;
     }
-}
 
-function generateReportTable(principal, emi, monthlyRate, totalMonths) {
-    let tableHTML = '';
-    let remainingPrincipal = principal;
-    let totalInterestPaid = 0;
-    let totalPrincipalPaid = 0;
-    
-    // Data for chart - Remaining Principal vs New EMI
-    const chartLabels = [];
-    const remainingPrincipalData = [];
-    const newEmiData = [];
-
-    for (let month = 1; month <= totalMonths; month++) {
-        // Calculate interest for this month
-        const interestPayment = remainingPrincipal * monthlyRate;
-        
-        // Calculate principal payment
-        let principalPayment = emi - interestPayment;
+    const interestSaved = without.totalInterest - withPrepayments.totalInterest;
+    const monthsSaved = without.months - withPrepayments.months;
+
+    // Same prepayments, every entry applied as tenure reduction vs EMI reduction
+    const allTenure = summarizeSchedule(buildAmortizationSchedule(data.principal, data.currentEmi, data.monthlyRate, data.monthsToComplete, withLoanTerms(data, {
+        prepayments: entries.map((entry) => Object.assign({}, entry, { mode: 'tenure' })),
+        rateChanges: data.rateChanges
+    })));
+    const allEmi = summarizeSchedule(buildAmortizationSchedule(data.principal, data.currentEmi, data.monthlyRate, data.monthsToComplete, withLoanTerms(data, {
+        prepayments: entries.map((entry) => Object.assign({}, entry, { mode: 'emi' })),
+        rateChanges: data.rateChanges
+    })));
+
+    document.getElementById('prepayOriginalEmi').textContent = formatCurrency(data.currentEmi);
+    document.getElementById('prepayOriginalYears').textContent = (without.months / 12).toFixed(1);
+    document.getElementById('prepayOriginalClosing').textContent = without.closingMonthYear;
+    document.getElementById('prepayOriginalInterest').textContent = formatCurrency(without.totalInterest);
+
+    document.getElementById('prepayNewEmi').textContent = formatCurrency(withPrepayments.finalEmi);
+    document.getElementById('prepayNewYears').textContent = (withPrepayments.months / 12).toFixed(1);
+    document.getElementById('prepayNewClosing').textContent = withPrepayments.closingMonthYear;
+    document.getElementById('prepayNewInterest').textContent = formatCurrency(withPrepayments.totalInterest);
+    document.getElementById('prepayTotal').textContent = formatCurrency(withPrepayments.totalPrepaid);
+
+    document.getElementById('bestOptionPrepayment').innerHTML = `
+        <p>
+            Prepaying <span class="highlight">${formatCurrency(withPrepayments.totalPrepaid)}</span> in total
+            closes your loan in <span class="highlight">${withPrepayments.closingMonthYear}</span>
+            instead of <span class="highlight">${without.closingMonthYear}</span>.
+        </p>
+        <p>
+            <strong>Time Saved:</strong> <span class="highlight">${(monthsSaved / 12).toFixed(1)} years (${monthsSaved} months)</span>
+        </p>
+        <p>
+            <strong>If every prepayment reduced tenure:</strong>
+            interest ${formatCurrency(allTenure.totalInterest)}, closes ${allTenure.closingMonthYear}
+        </p>
+        <p>
+            <strong>If every prepayment reduced EMI:</strong>
+            interest ${formatCurrency(allEmi.totalInterest)}, final EMI ${formatCurrency(allEmi.finalEmi)}
+        </p>
+        <p class="savings">
+            💰 Interest Saved: ${formatCurrency(interestSaved)}
+        </p>
+    `;
 
-        // Handle last month rounding
-        if (month === totalMonths) {
-            principalPayment = remainingPrincipal;
-        }
+    // Store data for report generation
+    window.tab2PrepaymentData = {
+        principal: data.principal,
+        annualRate: data.interest,
+        currentEmi: data.currentEmi,
+        monthlyRate: data.monthlyRate,
+        monthsToComplete: data.monthsToComplete,
+        prepayments: entries,
+        rateChanges: data.rateChanges,
+        interestMethod: data.interestMethod,
+        calendar: data.calendar
+    };
 
-        // Update remaining principal
-        const previousRemaining = remainingPrincipal;
-        remainingPrincipal = Math.max(0, remainingPrincipal - principalPayment);
+    document.getElementById('prepaymentResults').style.display = 'block';
 
-        // Calculate accumulated interest and principal
-        totalInterestPaid += interestPayment;
-        totalPrincipalPaid += principalPayment;
+    recordCalculation('tab2');
+}
 
-        // Format date
-        const date = new Date();
-        date.setMonth(date.getMonth() + month - 1);
-        const monthYear = date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+function generatePrepaymentReport() {
+    if (!window.tab2PrepaymentData) {
+        alert('Please calculate prepayment impact first');
+        return;
+    }
 
-        // Add row to table
-        tableHTML += `
-            <tr>
-                <td>${monthYear}</td>
-                <td>${formatCurrency(emi)}</td>
-                <td>${formatCurrency(interestPayment)}</td>
-                <td>${formatCurrency(principalPayment)}</td>
-                <td>${formatCurrency(remainingPrincipal)}</td>
-                <td>${formatCurrency(Math.max(0, totalInterestPaid - interestPayment))}</td>
-            </tr>
+    const data = window.tab2PrepaymentData;
+    generateScenarioReport('With Prepayments', data, {
+        prepayments: data.prepayments,
+        rateChanges: data.rateChanges
+    }, 'prepayment');
+}
+
+/**
+ * Show a Remaining Loan scenario (prepayments, step-up EMI) in the Reports tab.
+ * `source` identifies the report in shareable links.
+ */
+function generateScenarioReport(reportTitle, data, options, source) {
+    const schedule = generateReportTable(data.principal, data.currentEmi, data.monthlyRate, data.monthsToComplete,
+        withLoanTerms(data, options));
+    const summary = summarizeSchedule(schedule);
+
+    // Display report info
+    document.getElementById('reportPrincipal').textContent = formatCurrency(data.principal);
+    document.getElementById('reportRate').textContent = describeRateHistory(schedule, data.annualRate);
+    document.getElementById('reportEmi').textContent = Math.abs(summary.finalEmi - data.currentEmi) >= 0.5 ?
+        formatScheduleAmount(data.currentEmi) + ' → ' + formatScheduleAmount(summary.finalEmi) :
+        formatScheduleAmount(data.currentEmi);
+    document.getElementById('reportDuration').textContent = reportTitle + ' (' + (summary.months / 12).toFixed(1) + ' years)';
+    document.getElementById('reportInfo').style.display = 'block';
+
+    // Store report data for export
+    window.currentReportData = {
+        title: reportTitle,
+        principal: data.principal,
+        annualRate: data.annualRate,
+        emi: data.currentEmi,
+        totalMonths: data.monthsToComplete,
+        schedule: schedule,
+        interestMethod: data.interestMethod,
+        calendar: data.calendar,
+        rounding: getRoundingPolicy(),
+        source: source
+    };
+
+    // Switch to tab3
+    const tab3Button = document.querySelector('[data-tab="tab3"]');
+    if (tab3Button) {
+        tab3Button.click();
+    }
+}
+
+// ============================================
+// TAB 2: STEP-UP EMI
+// ============================================
+
+function calculateStepUpImpact() {
+    if (!window.tab2Data) {
+        alert('Please calculate remaining loan first');
+        return;
+    }
+
+    const stepUpType = document.getElementById('stepUpType').value;
+    const stepUpValue = parseFloat(document.getElementById('stepUpValue').value);
+    const stepUpCap = parseFloat(document.getElementById('stepUpCap').value) || 0;
+    const startMonth = parseInt(document.getElementById('stepUpStartMonth').value, 10) || 12;
+
+    if (isNaN(stepUpValue) || stepUpValue <= 0) {
+        alert('Please enter an annual increase greater than 0');
+        return;
+    }
+
+    if (stepUpType === 'percent' && stepUpValue > 100) {
+        alert('Please enter an annual increase of at most 100%');
+        return;
+    }
+
+    const data = window.tab2Data;
+
+    if (stepUpCap > 0 && stepUpCap <= data.currentEmi) {
+        alert('The EMI cap must be higher than your current EMI');
+        return;
+    }
+
+    const stepUp = {
+        type: stepUpType,
+        value: stepUpValue,
+        cap: stepUpCap,
+        startMonth: startMonth
+    };
+
+    const flat = summarizeSchedule(buildAmortizationSchedule(data.principal, data.currentEmi, data.monthlyRate, data.monthsToComplete, withLoanTerms(data, {
+        rateChanges: data.rateChanges
+    })));
+    const stepped = summarizeSchedule(buildAmortizationSchedule(data.principal, data.currentEmi, data.monthlyRate, data.monthsToComplete, withLoanTerms(data, {
+        rateChanges: data.rateChanges,
+        stepUp: stepUp
+    })));
+
+    const interestSaved = flat.totalInterest - stepped.totalInterest;
+    const monthsSaved = flat.months - stepped.months;
+
+    document.getElementById('stepUpFlatEmi').textContent = formatCurrency(data.currentEmi);
+    document.getElementById('stepUpFlatYears').textContent = (flat.months / 12).toFixed(1);
+    document.getElementById('stepUpFlatClosing').textContent = flat.closingMonthYear;
+    document.getElementById('stepUpFlatInterest').textContent = formatCurrency(flat.totalInterest);
+
+    document.getElementById('stepUpFinalEmi').textContent = formatCurrency(stepped.finalEmi);
+    document.getElementById('stepUpYears').textContent = (stepped.months / 12).toFixed(1);
+    document.getElementById('stepUpClosing').textContent = stepped.closingMonthYear;
+    document.getElementById('stepUpInterest').textContent = formatCurrency(stepped.totalInterest);
+
+    const increaseText = stepUpType === 'percent' ? stepUpValue + '%' : formatCurrency(stepUpValue);
+    document.getElementById('bestOptionStepUp').innerHTML = monthsSaved > 0 ? `
+        <p>
+            Raising your EMI by <span class="highlight">${increaseText}</span> every year from month ${startMonth}
+            closes your loan in <span class="highlight">${stepped.closingMonthYear}</span>
+            instead of <span class="highlight">${flat.closingMonthYear}</span>.
+        </p>
+        <p>
+            <strong>Time Saved:</strong> <span class="highlight">${(monthsSaved / 12).toFixed(1)} years (${monthsSaved} months)</span>
+        </p>
+        <p class="savings">
+            💰 Interest Saved vs Flat EMI: ${formatCurrency(interestSaved)}
+        </p>
+    ` : `
+        <p>
+            <strong style="color: var(--primary-color);">The loan closes before the first step-up, so a step-up plan won't change it.</strong>
+        </p>
+    `;
+
+    // Store data for report generation
+    window.tab2StepUpData = {
+        principal: data.principal,
+        annualRate: data.interest,
+        currentEmi: data.currentEmi,
+        monthlyRate: data.monthlyRate,
+        monthsToComplete: data.monthsToComplete,
+        rateChanges: data.rateChanges,
+        stepUp: stepUp,
+        interestMethod: data.interestMethod,
+        calendar: data.calendar
+    };
+
+    document.getElementById('stepUpResults').style.display = 'block';
+
+    recordCalculation('tab2');
+}
+
+function generateStepUpReport() {
+    if (!window.tab2StepUpData) {
+        alert('Please calculate step-up impact first');
+        return;
+    }
+
+    const data = window.tab2StepUpData;
+    generateScenarioReport('Step-Up EMI', data, {
+        rateChanges: data.rateChanges,
+        stepUp: data.stepUp
+    }, 'stepup');
+}
+
+// ============================================
+// TAB 2: PREPAY VS INVEST
+// ============================================
+
+function calculatePrepayVsInvest() {
+    if (!window.tab2Data) {
+        alert('Please calculate remaining loan first');
+        return;
+    }
+
+    const surplus = parseFloat(document.getElementById('pviSurplus').value);
+    const annualReturn = parseFloat(document.getElementById('pviReturn').value);
+    const gainsTaxRate = parseFloat(document.getElementById('pviGainsTax').value) || 0;
+    const interestTaxRate = parseFloat(document.getElementById('pviInterestTax').value) || 0;
+    const interestDeductionCap = parseFloat(document.getElementById('pviInterestCap').value) || 0;
+
+    if (!surplus || surplus <= 0) {
+        alert('Please enter the monthly surplus you want to prepay or invest');
+        return;
+    }
+
+    if (isNaN(annualReturn) || annualReturn < 0 || annualReturn > 50) {
+        alert('Please enter an expected investment return between 0% and 50%');
+        return;
+    }
+
+    if (gainsTaxRate > 100 || interestTaxRate > 100 || gainsTaxRate < 0 || interestTaxRate < 0) {
+        alert('Tax rates must be between 0% and 100%');
+        return;
+    }
+
+    const data = window.tab2Data;
+    const result = comparePrepayVsInvest({
+        principal: data.principal,
+        annualRate: data.interest,
+        emi: data.currentEmi
+    }, surplus, withLoanTerms(data, {
+        annualReturn: annualReturn,
+        gainsTaxRate: gainsTaxRate,
+        interestTaxRate: interestTaxRate,
+        interestDeductionCap: interestDeductionCap,
+        rateChanges: data.rateChanges
+    }));
+    const lastRow = result.rows[result.rows.length - 1];
+    const closingLabel = (path) => path.closedMonth ?
+        result.rows[path.closedMonth - 1].monthYear + ' (' + (path.closedMonth / 12).toFixed(1) + ' years)' :
+        'After ' + lastRow.monthYear;
+
+    document.querySelectorAll('.pvi-horizon').forEach((element) => {
+        element.textContent = lastRow.monthYear;
+    });
+    document.getElementById('pviPrepayClosing').textContent = closingLabel(result.prepay);
+    document.getElementById('pviPrepayInterest').textContent = formatCurrency(result.prepay.totalInterest);
+    document.getElementById('pviPrepayTaxSaved').textContent = formatCurrency(result.prepay.taxSaved);
+    document.getElementById('pviPrepayNetWorth').textContent = formatCurrency(result.prepay.finalNetWorth);
+    document.getElementById('pviInvestClosing').textContent = closingLabel(result.invest);
+    document.getElementById('pviInvestInterest').textContent = formatCurrency(result.invest.totalInterest);
+    document.getElementById('pviInvestTaxSaved').textContent = formatCurrency(result.invest.taxSaved);
+    document.getElementById('pviInvestNetWorth').textContent = formatCurrency(result.invest.finalNetWorth);
+
+    let verdict;
+    if (result.winner === 'tie') {
+        verdict = `<strong style="color: var(--primary-color);">Both paths end level at ${lastRow.monthYear}</strong>`;
+    } else {
+        const winnerLabel = result.winner === 'invest' ? 'Investing the surplus' : 'Prepaying the loan';
+        verdict = `
+            <strong style="color: var(--success-color);">${winnerLabel}</strong> leaves you
+            <span class="highlight">${formatCurrency(Math.abs(result.difference))}</span> better off by ${lastRow.monthYear}
         `;
-        
-        // Collect data for chart (every month or every 6 months for better visibility)
-        if (month % 6 === 0 || month === totalMonths || month === 1) {
-            chartLabels.push('Month ' + month);
-            remainingPrincipalData.push(Math.round(remainingPrincipal));
-            // Calculate what the new EMI would be if refinanced at this point
-            const remainingMonths = totalMonths - month;
-            const newEmi = remainingMonths > 0 ? (remainingPrincipal / remainingMonths) * (1 + monthlyRate) : 0;
-            newEmiData.push(Math.round(newEmi));
-        }
     }
 
-    document.getElementById('reportTableBody').innerHTML = tableHTML;
-    document.getElementById('reportTable').style.display = 'block';
-    document.getElementById('reportChart').style.display = 'block';
-    document.getElementById('downloadBtn').style.display = 'block';
-    document.getElementById('noReport').style.display = 'none';
-    
-    // Generate chart
-    generatePrincipalComparisonChart(chartLabels, remainingPrincipalData, newEmiData);
+    const leader = result.difference >= 0 ? 'Investing' : 'Prepaying';
+    const crossover = result.crossoverMonth ?
+        `${leader} pulls ahead in <strong>${result.crossoverMonthYear}</strong> and stays ahead.` :
+        `${leader} stays ahead for the whole period.`;
+
+    const breakEven = result.breakEvenReturn === null ?
+        'Investing does not catch up with prepaying even at a 50% return.' :
+        `Investing beats prepaying when it returns more than <strong>${result.breakEvenReturn.toFixed(2)}%</strong> a year, with the taxes above taken into account.`;
+
+    const coversLoan = result.coversLoanMonth && result.invest.closedMonth !== result.coversLoanMonth ?
+        `<p>Invested, the surplus could repay the whole loan by <strong>${result.coversLoanMonthYear}</strong>.</p>` : '';
+
+    document.getElementById('bestOptionPvi').innerHTML = `
+        <p>${verdict}</p>
+        <p>${crossover}</p>
+        ${coversLoan}
+        <p class="savings">📈 ${breakEven}</p>
+    `;
+
+    generatePrepayVsInvestChart(result);
+
+    document.getElementById('pviResults').style.display = 'block';
+
+    recordCalculation('tab2');
 }
 
-function generatePrincipalComparisonChart(labels, remainingPrincipalData, newEmiData) {
-    const chartContainer = document.getElementById('emiComparisonChart');
-    const reportChartSection = document.getElementById('reportChart');
-    
-    // Destroy existing chart if it exists
-    if (window.emiChartInstance) {
-        window.emiChartInstance.destroy();
+function generatePrepayVsInvestChart(result) {
+    const labels = [];
+    const prepayData = [];
+    const investData = [];
+
+    // One point a year keeps long horizons readable
+    result.rows.forEach((row) => {
+        if (row.month % 12 === 0 || row.month === 1 || row.month === result.rows.length) {
+            labels.push(row.monthYear);
+            prepayData.push(Math.round(row.prepayNetWorth));
+            investData.push(Math.round(row.investNetWorth));
+        }
+    });
+
+    if (window.pviChartInstance) {
+        window.pviChartInstance.destroy();
     }
-    
-    // Create new chart
-    const ctx = chartContainer.getContext('2d');
-    window.emiChartInstance = new Chart(ctx, {
+
+    const ctx = document.getElementById('pviChart').getContext('2d');
+    window.pviChartInstance = new Chart(ctx, {
         type: 'line',
         data: {
             labels: labels,
             datasets: [
                 {
-                    label: 'Actual Remaining Principal',
-                    data: remainingPrincipalData,
-                    borderColor: '#ef4444', // Red
-                    backgroundColor: 'rgba(239, 68, 68, 0.1)',
-                    fill: true,
-                    tension: 0.4,
+                    label: 'Net Worth - Prepay',
+                    data: prepayData,
+                    borderColor: '#2563eb',
+                    backgroundColor: 'rgba(37, 99, 235, 0.1)',
+                    tension: 0.3,
                     borderWidth: 3,
-                    pointRadius: 5,
-                    pointBackgroundColor: '#ef4444',
-                    pointBorderColor: '#fff',
-                    pointBorderWidth: 2,
-                    pointHoverRadius: 7
+                    pointRadius: 3
                 },
                 {
-                    label: 'New EMI (Remaining)',
-                    data: newEmiData,
-                    borderColor: '#10b981', // Green
+                    label: 'Net Worth - Invest',
+                    data: investData,
+                    borderColor: '#10b981',
                     backgroundColor: 'rgba(16, 185, 129, 0.1)',
-                    fill: true,
-                    tension: 0.4,
+                    tension: 0.3,
                     borderWidth: 3,
-                    pointRadius: 5,
-                    pointBackgroundColor: '#10b981',
-                    pointBorderColor: '#fff',
-                    pointBorderWidth: 2,
-                    pointHoverRadius: 7
+                    pointRadius: 3
                 }
             ]
         },
@@ -576,371 +1367,3959 @@ function generatePrincipalComparisonChart(labels, remainingPrincipalData, newEmi
             plugins: {
                 legend: {
                     display: true,
-                    position: 'top',
-                    labels: {
-                        font: { size: 12, weight: 'bold' },
-                        padding: 15,
-                        usePointStyle: true
-                    }
+                    position: 'top'
                 },
                 tooltip: {
-                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
-                    padding: 12,
-                    cornerRadius: 8,
-                    titleFont: { size: 14, weight: 'bold' },
-                    bodyFont: { size: 13 },
                     callbacks: {
                         label: function(context) {
-                            return context.dataset.label + ': ₹' + context.parsed.y.toLocaleString('en-IN');
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
                         }
                     }
                 }
             },
             scales: {
                 y: {
-                    beginAtZero: true,
                     ticks: {
                         callback: function(value) {
-                            return '₹' + (value / 100000).toFixed(1) + 'L';
-                        },
-                        font: { size: 12 }
-                    },
-                    title: {
-                        display: true,
-                        text: 'Remaining Principal Amount (₹)'
-                    }
-                },
-                x: {
-                    ticks: {
-                        font: { size: 12 }
+                            return formatCompactCurrency(value);
+                        }
                     },
                     title: {
                         display: true,
-                        text: 'Time Period'
+                        text: 'Investments minus Loan Outstanding (' + getCurrencySymbol().trim() + ')'
                     }
                 }
             }
         }
     });
-    
-    reportChartSection.style.display = 'block';
 }
 
-function generateAmortizationReport() {
-    // Get data from tab1Data
-    if (!window.tab1Data) {
-        alert('Please calculate EMI first in the EMI Calculator tab');
+// ============================================
+// TAB 2: BALANCE TRANSFER / REFINANCE
+// ============================================
+
+const REFINANCE_OPTION_NAMES = {
+    'same-emi': 'Switch, Same EMI',
+    'same-tenure': 'Switch, Same Tenure'
+};
+
+function calculateRefinance() {
+    if (!window.tab2Data) {
+        alert('Please calculate remaining loan first');
         return;
     }
 
-    const data = window.tab1Data;
-    const principal = data.principal;
-    const annualRate = data.annualRate;
-    const emi = data.emi;
-    const years = data.years;
-    
-    const monthlyRate = annualRate / 100 / 12;
-    const totalMonths = years * 12;
+    const newRate = parseFloat(document.getElementById('refiRate').value);
+    const feePercent = parseFloat(document.getElementById('refiFee').value) || 0;
+    const charges = parseFloat(document.getElementById('refiCharges').value) || 0;
+    const topUp = parseFloat(document.getElementById('refiTopUp').value) || 0;
 
-    // Display report info
-    document.getElementById('reportPrincipal').textContent = formatCurrency(principal);
-    document.getElementById('reportRate').textContent = annualRate.toFixed(2) + '%';
-    document.getElementById('reportEmi').textContent = formatCurrency(emi);
-    document.getElementById('reportDuration').textContent = years + ' years';
-    document.getElementById('reportInfo').style.display = 'block';
+    if (isNaN(newRate) || newRate < 0) {
+        alert('Please enter the new lender\'s interest rate');
+        return;
+    }
 
-    // Generate amortization table
-    generateReportTable(principal, emi, monthlyRate, totalMonths);
+    if (feePercent < 0 || feePercent > 10 || charges < 0 || topUp < 0) {
+        alert('Please enter a processing fee between 0 and 10% and charges and top-up of 0 or more');
+        return;
+    }
 
-    // Switch to tab3
-    const tab3Button = document.querySelector('[data-tab="tab3"]');
-    if (tab3Button) {
-        tab3Button.click();
+    const data = window.tab2Data;
+    const result = compareRefinance({
+        principal: data.principal,
+        annualRate: data.interest,
+        emi: data.currentEmi
+    }, {
+        annualRate: newRate,
+        processingFeePercent: feePercent,
+        charges: charges,
+        topUp: topUp
+    }, withLoanTerms(data, {
+        rateChanges: data.rateChanges
+    }));
+
+    const savingsCell = (variant) => `<span style="color: var(${variant.netSavings >= 0 ? '--success-color' : '--danger-color'});">
+        ${variant.netSavings >= 0 ? '' : '-'}${formatCurrency(Math.abs(variant.netSavings))}</span>`;
+    const variantRow = (variant) => variant ? `
+        <tr class="${result.recommended === variant.mode ? 'best-row' : ''}">
+            <td>${REFINANCE_OPTION_NAMES[variant.mode]} (${formatNumber(variant.annualRate)}%)</td>
+            <td>${formatCurrency(variant.emi)}</td>
+            <td>${variant.closingMonthYear} (${(variant.months / 12).toFixed(1)} years)</td>
+            <td>${formatCurrency(variant.totalInterest)}</td>
+            <td>${savingsCell(variant)}</td>
+            <td>${variant.breakEvenMonth ? `Month ${variant.breakEvenMonth} (${variant.breakEvenMonthYear})` : 'Never'}</td>
+            <td><button class="btn-report" onclick="generateRefinanceReport('${variant.mode}')">📋 Report</button></td>
+        </tr>
+    ` : `
+        <tr>
+            <td>${REFINANCE_OPTION_NAMES['same-emi']} (${formatNumber(newRate)}%)</td>
+            <td colspan="6">Your current EMI does not cover the interest on ${formatCurrency(result.transferAmount)}</td>
+        </tr>
+    `;
+
+    document.getElementById('refiTableBody').innerHTML = `
+        <tr>
+            <td>Stay (${formatNumber(data.interest)}%)</td>
+            <td>${formatCurrency(result.current.emi)}</td>
+            <td>${result.current.closingMonthYear} (${(result.current.months / 12).toFixed(1)} years)</td>
+            <td>${formatCurrency(result.current.totalInterest)}</td>
+            <td>-</td>
+            <td>-</td>
+            <td><button class="btn-report" onclick="generateRemainingLoanReport('current')">📋 Report</button></td>
+        </tr>
+        ${variantRow(result.sameEmi)}
+        ${variantRow(result.sameTenure)}
+    `;
+
+    const recommended = result.recommended === 'same-emi' ? result.sameEmi : result.sameTenure;
+    const costs = `Switching costs ${formatCurrency(result.fees)}
+        (processing fee ${formatCurrency(result.processingFee)}${charges > 0 ? ', charges ' + formatCurrency(charges) : ''}).`;
+    const topUpNote = topUp > 0 ?
+        `<p>The new loan includes the ${formatCurrency(topUp)} top-up, so its interest is counted against the savings.</p>` : '';
+
+    document.getElementById('bestOptionRefi').innerHTML = result.recommended ? `
+        <p>
+            <strong style="color: var(--success-color);">✓ Switching pays off.</strong>
+            ${REFINANCE_OPTION_NAMES[recommended.mode]} saves the most:
+            <span class="highlight">${formatCurrency(recommended.netSavings)}</span> after fees.
+        </p>
+        <p>${costs} They are recovered by <span class="highlight">month ${recommended.breakEvenMonth} (${recommended.breakEvenMonthYear})</span>.</p>
+        ${topUpNote}
+    ` : `
+        <p>
+            <strong style="color: var(--primary-color);">Staying with your current lender is cheaper.</strong>
+            The lower rate doesn't save enough interest to cover the switch.
+        </p>
+        <p>${costs}</p>
+        ${topUpNote}
+    `;
+
+    // Store data for report generation
+    window.tab2RefinanceData = {
+        result: result,
+        calendar: data.calendar,
+        interestMethod: data.interestMethod
+    };
+
+    document.getElementById('refiResults').style.display = 'block';
+
+    recordCalculation('tab2');
+}
+
+/**
+ * Show the schedule of the new loan for one way of switching ('same-emi' / 'same-tenure')
+ */
+function generateRefinanceReport(mode) {
+    const data = window.tab2RefinanceData;
+    const variant = data && (mode === 'same-emi' ? data.result.sameEmi : data.result.sameTenure);
+    if (!variant) {
+        alert('Please analyze the balance transfer first');
+        return;
+    }
+
+    generateScenarioReport('Balance Transfer, ' + (mode === 'same-emi' ? 'Same EMI' : 'Same Tenure'), {
+        principal: variant.principal,
+        annualRate: variant.annualRate,
+        currentEmi: variant.emi,
+        monthlyRate: variant.annualRate / 100 / 12,
+        monthsToComplete: variant.months,
+        calendar: data.calendar,
+        interestMethod: data.interestMethod
+    }, {}, 'refinance-' + mode);
+}
+
+// ============================================
+// LOAN DATES AND INTEREST METHOD (TAB 1 AND TAB 2)
+// ============================================
+
+const INTEREST_METHOD_NAMES = {
+    monthly: 'Monthly rest',
+    daily: 'Daily reducing (Act/365)',
+    annual: 'Annual rest'
+};
+
+/**
+ * Read the disbursement date and EMI due day of Tab 1 or Tab 2 ('1' / '2').
+ * Returns the loan calendar, null when no disbursement date is set, or false
+ * after alerting about an invalid entry. Tab 1 schedules start at the first EMI;
+ * Tab 2 schedules start at the next EMI after today.
+ */
+function readLoanCalendar(tabNumber, principal, annualRate) {
+    const dateValue = document.getElementById('disbursementDate' + tabNumber).value;
+    const dueDayValue = document.getElementById('emiDueDay' + tabNumber).value;
+
+    if (!dateValue) {
+        if (dueDayValue) {
+            alert('Please enter the disbursement date to use an EMI due day');
+            return false;
+        }
+        return null;
+    }
+
+    const parts = dateValue.split('-').map((part) => parseInt(part, 10));
+    const disbursementDate = new Date(parts[0], parts[1] - 1, parts[2]);
+    if (parts.length !== 3 || isNaN(disbursementDate.getTime())) {
+        alert('Please enter a valid disbursement date');
+        return false;
+    }
+
+    const dueDay = dueDayValue ? parseInt(dueDayValue, 10) : disbursementDate.getDate();
+    if (isNaN(dueDay) || dueDay < 1 || dueDay > 31) {
+        alert('Please enter an EMI due day between 1 and 31');
+        return false;
+    }
+
+    const calendar = getLoanCalendar(principal, annualRate, disbursementDate, dueDay);
+    if (tabNumber === '1') {
+        calendar.startDate = calendar.firstEmiDate;
+        return calendar;
+    }
+
+    const today = new Date();
+    if (disbursementDate > today) {
+        alert('The disbursement date of a running loan cannot be in the future');
+        return false;
+    }
+
+    const nextDueDate = getNextDueDate(dueDay, today);
+    calendar.emisPaid = countEmisPaid(calendar.firstEmiDate, dueDay, today);
+    calendar.startDate = nextDueDate < calendar.firstEmiDate ? calendar.firstEmiDate : nextDueDate;
+    return calendar;
+}
+
+/**
+ * Schedule options for a Tab 1 / Tab 2 loan: its interest method, and its calendar
+ * when it has loan dates. Only a new loan (Tab 1) still has broken-period interest ahead of it.
+ */
+function withLoanTerms(loan, options) {
+    const terms = { interestMethod: loan.interestMethod || 'monthly', rounding: getRoundingPolicy() };
+    const calendar = loan.calendar;
+    if (calendar) {
+        terms.startDate = calendar.startDate;
+        terms.emiDueDay = calendar.dueDay;
+        terms.brokenPeriod = calendar.emisPaid === undefined ? calendar : null;
+    }
+    return Object.assign({}, options, terms);
+}
+
+/**
+ * Due date of the last EMI of a schedule starting at the calendar's start date
+ */
+function getLastEmiDate(calendar, months) {
+    return getDueDate(calendar.startDate.getFullYear(), calendar.startDate.getMonth() + months - 1, calendar.dueDay);
+}
+
+function renderLoanDatesTab1(calendar, months) {
+    const container = document.getElementById('loanDatesTab1');
+    if (!calendar) {
+        container.style.display = 'none';
+        return;
+    }
+
+    container.innerHTML = `
+        <p><strong>Disbursed:</strong> ${formatDate(calendar.disbursementDate)} · EMI due on day ${calendar.dueDay}</p>
+        <p><strong>First EMI:</strong> ${formatDate(calendar.firstEmiDate)} · <strong>Last EMI:</strong> ${formatDate(getLastEmiDate(calendar, months))}</p>
+        <p><strong>Broken-Period Interest:</strong> ${formatCurrency(calendar.brokenPeriodInterest)}
+            (${calendar.brokenPeriodDays} days before the EMI cycle starts on ${formatDate(calendar.cycleStartDate)})</p>
+    `;
+    container.style.display = 'block';
+}
+
+function renderLoanDatesTab2(calendar, monthsToComplete) {
+    const container = document.getElementById('loanDatesTab2');
+    if (!calendar) {
+        container.style.display = 'none';
+        return;
+    }
+
+    container.innerHTML = `
+        <p><strong>EMIs Paid:</strong> ${calendar.emisPaid} (first EMI ${formatDate(calendar.firstEmiDate)})</p>
+        <p><strong>EMIs Remaining:</strong> ${monthsToComplete}</p>
+        <p><strong>Next EMI:</strong> ${formatDate(calendar.startDate)} · <strong>Last EMI:</strong> ${formatDate(getLastEmiDate(calendar, monthsToComplete))}</p>
+    `;
+    container.style.display = 'block';
+}
+
+// ============================================
+// FLOATING RATE REVISIONS (TAB 1 AND TAB 2)
+// ============================================
+
+// Rate revisions edited in the EMI Calculator and Remaining Loan tabs
+window.rateRevisions = {
+    tab1: [],
+    tab2: []
+};
+
+function addRateRevision(tabKey) {
+    // Default to next month
+    const next = new Date();
+    next.setDate(1);
+    next.setMonth(next.getMonth() + 1);
+    const from = next.getFullYear() + '-' + String(next.getMonth() + 1).padStart(2, '0');
+
+    window.rateRevisions[tabKey].push({
+        from: from,
+        rate: null,
+        mode: 'keep-emi'
+    });
+    renderRateRevisions(tabKey);
+}
+
+function removeRateRevision(tabKey, index) {
+    window.rateRevisions[tabKey].splice(index, 1);
+    renderRateRevisions(tabKey);
+}
+
+function updateRateRevision(tabKey, index, field, value) {
+    const revision = window.rateRevisions[tabKey][index];
+    // A blank rate stays unset; 0% is a valid revision
+    revision[field] = field === 'rate' ? (value === '' ? null : parseFloat(value)) : value;
+}
+
+/**
+ * A revision counts once it has a month and a rate of 0% or more
+ */
+function isCompleteRateRevision(revision) {
+    return Boolean(revision.from) && Number.isFinite(revision.rate) && revision.rate >= 0;
+}
+
+/**
+ * Complete rate revisions for a tab, copied so later edits don't leak into stored results
+ */
+function getRateRevisions(tabKey) {
+    return window.rateRevisions[tabKey]
+        .filter(isCompleteRateRevision)
+        .map((revision) => Object.assign({}, revision));
+}
+
+function renderRateRevisions(tabKey) {
+    const container = document.getElementById(tabKey + 'RateRevisionList');
+    const revisions = window.rateRevisions[tabKey];
+
+    if (revisions.length === 0) {
+        container.innerHTML = '<p class="empty-message">Fixed rate - no revisions added</p>';
+        return;
     }
+
+    container.innerHTML = revisions.map((revision, index) => `
+        <div class="schedule-entry">
+            <div class="form-group">
+                <label>From Month</label>
+                <input type="month" value="${escapeHtml(revision.from)}"
+                    onchange="updateRateRevision('${tabKey}', ${index}, 'from', this.value)">
+            </div>
+            <div class="form-group">
+                <label>New Rate (%)</label>
+                <input type="number" min="0" max="100" step="0.01" value="${Number.isFinite(revision.rate) ? escapeHtml(revision.rate) : ''}" placeholder="e.g. 8.75"
+                    onchange="updateRateRevision('${tabKey}', ${index}, 'rate', this.value)">
+            </div>
+            <div class="form-group">
+                <label>Lender Keeps</label>
+                <select onchange="updateRateRevision('${tabKey}', ${index}, 'mode', this.value)">
+                    <option value="keep-emi" ${revision.mode === 'keep-emi' ? 'selected' : ''}>Same EMI (tenure changes)</option>
+                    <option value="keep-tenure" ${revision.mode === 'keep-tenure' ? 'selected' : ''}>Same tenure (EMI changes)</option>
+                </select>
+            </div>
+            <button class="btn-remove" title="Remove revision" onclick="removeRateRevision('${tabKey}', ${index})">✕</button>
+        </div>
+    `).join('');
+}
+
+// ============================================
+// REMAINING LOAN AMORTIZATION REPORT
+// ============================================
+
+function generateRemainingLoanReport(reportType) {
+    // The loan as calculated now, whether or not an additional payment was tried
+    if (reportType === 'current') {
+        if (!window.tab2Data) {
+            alert('Please calculate remaining loan first');
+            return;
+        }
+        const current = window.tab2Data;
+        generateScenarioReport('Current EMI', Object.assign({ annualRate: current.interest }, current), {
+            rateChanges: current.rateChanges
+        }, 'current');
+        return;
+    }
+
+    if (!window.tab2ReportData) {
+        alert('Please calculate additional payment first');
+        return;
+    }
+
+    const data = window.tab2ReportData;
+    const principal = data.principal;
+    const annualRate = data.annualRate;
+    const monthlyRate = data.monthlyRate;
+    
+    const emi = data.newEmi;
+    const totalMonths = data.newMonthsToComplete;
+    const reportTitle = 'With Additional Payment';
+
+    // Generate amortization table
+    const schedule = generateReportTable(principal, emi, monthlyRate, totalMonths, withLoanTerms(data, {
+        rateChanges: data.rateChanges
+    }));
+
+    // Display report info
+    document.getElementById('reportPrincipal').textContent = formatCurrency(principal);
+    document.getElementById('reportRate').textContent = describeRateHistory(schedule, annualRate);
+    document.getElementById('reportEmi').textContent = formatScheduleAmount(emi);
+    // Rate revisions can move the closing month away from the planned tenure
+    document.getElementById('reportDuration').textContent = reportTitle + ' (' + (schedule.length / 12).toFixed(1) + ' years)';
+    document.getElementById('reportInfo').style.display = 'block';
+
+    // Store report data for export
+    window.currentReportData = {
+        title: reportTitle,
+        principal: principal,
+        annualRate: annualRate,
+        emi: emi,
+        totalMonths: totalMonths,
+        schedule: schedule,
+        interestMethod: data.interestMethod,
+        calendar: data.calendar,
+        rounding: getRoundingPolicy(),
+        source: reportType
+    };
+
+    // Switch to tab3
+    const tab3Button = document.querySelector('[data-tab="tab3"]');
+    if (tab3Button) {
+        tab3Button.click();
+    }
+}
+
+// ============================================
+// AMORTIZATION REPORT
+// ============================================
+
+function generateAmortizationReportForDuration(principal, annualRate, years) {
+    // Calculate EMI for given parameters
+    const loan = window.tab1Data || {};
+    const emi = roundEmi(calculateEMI(principal, annualRate, years, loan.interestMethod), getRoundingPolicy());
+    const monthlyRate = annualRate / 100 / 12;
+    const totalMonths = years * 12;
+
+    // Generate amortization table
+    const schedule = generateReportTable(principal, emi, monthlyRate, totalMonths, withLoanTerms(loan, {
+        rateChanges: loan.rateChanges || [],
+        charges: loan.charges
+    }));
+    
+    // Display report info
+    document.getElementById('reportPrincipal').textContent = formatCurrency(principal);
+    document.getElementById('reportRate').textContent = describeRateHistory(schedule, annualRate);
+    document.getElementById('reportEmi').textContent = formatScheduleAmount(emi);
+    document.getElementById('reportDuration').textContent = years + ' years';
+    document.getElementById('reportInfo').style.display = 'block';
+
+    // Store report data for export
+    window.currentReportData = {
+        title: years + ' Year Loan',
+        principal: principal,
+        annualRate: annualRate,
+        emi: emi,
+        totalMonths: totalMonths,
+        schedule: schedule,
+        interestMethod: loan.interestMethod,
+        calendar: loan.calendar,
+        rounding: getRoundingPolicy(),
+        rateChanges: loan.rateChanges || [],
+        charges: loan.charges,
+        source: 'duration-' + Math.round(totalMonths)
+    };
+
+    // Switch to tab3
+    const tab3Button = document.querySelector('[data-tab="tab3"]');
+    if (tab3Button) {
+        tab3Button.click();
+    }
+}
+
+/**
+ * Render an amortization schedule in the Reports tab and return it.
+ * options.schedule - render these rows (e.g. a loan portfolio) instead of building a schedule
+ * options.prepaymentLabel - heading for the prepayment column
+ * options.emiDueDay - label rows with the full EMI due date
+ * options.brokenPeriod - loan calendar whose pre-EMI interest opens the table
+ * options.interestMethod - interest method of the loan, compared with the other methods above the table
+ * options.charges - fees and charges of a new loan, to show its effective rate in the summary
+ */
+function generateReportTable(principal, emi, monthlyRate, totalMonths, options = {}) {
+    const schedule = options.schedule || buildAmortizationSchedule(principal, emi, monthlyRate, totalMonths, options);
+
+    // Kept so the table can be regrouped without rebuilding the report
+    window.reportTableState = {
+        principal: principal,
+        monthlyRate: monthlyRate,
+        totalMonths: totalMonths,
+        rows: addRepaymentProgress(schedule, principal),
+        options: options
+    };
+    renderReportRows();
+
+    document.getElementById('reportTable').style.display = 'block';
+    document.getElementById('reportChart').style.display = 'block';
+    document.getElementById('reportActions').style.display = 'flex';
+    document.getElementById('noReport').style.display = 'none';
+
+    renderInterestMethodComparison(principal, emi, monthlyRate, totalMonths, options);
+    renderReportEffectiveRate(principal, monthlyRate, totalMonths, options);
+
+    // Tax figures belong to the previous report
+    document.getElementById('taxBenefits').style.display = 'block';
+    document.getElementById('taxResults').style.display = 'none';
+    
+    // Generate chart
+    renderReportChart();
+
+    return schedule;
+}
+
+/**
+ * Render the report table from window.reportTableState in the chosen grouping.
+ * Year rows expand into their months.
+ */
+function renderReportRows() {
+    const state = window.reportTableState;
+    if (!state) {
+        return;
+    }
+
+    const rows = state.rows;
+    const options = state.options;
+    const grouping = document.getElementById('reportGrouping').value;
+    const showPrepayments = rows.some((row) => row.prepayment > 0);
+    // A portfolio pays its surplus every month, so only loan closings are highlighted there
+    const highlightPrepayments = !options.schedule;
+    const showRates = rows.some((row) => row.rateRevised);
+    const summary = summarizeSchedule(rows);
+    const totalInterest = summary.totalInterest;
+
+    // Running totals shared by month and year rows
+    const progressCells = (row) => `
+        <td>${formatScheduleAmount(row.balance)}</td>
+        <td>${formatScheduleAmount(row.cumulativeInterest)}</td>
+        <td>${formatScheduleAmount(row.principalRepaid)}</td>
+        <td>${formatScheduleAmount(row.interestRemaining)}</td>
+        <td>${row.percentRepaid.toFixed(1)}%</td>
+    `;
+
+    const monthRow = (row, group) => {
+        const prepaymentCell = showPrepayments ?
+            `<td>${row.prepayment > 0 ? formatScheduleAmount(row.prepayment) : '-'}</td>` : '';
+        const rateCell = showRates ?
+            `<td>${row.rate.toFixed(2)}%${row.rateRevised ? ' <span class="row-badge">Revised</span>' : ''}</td>` : '';
+        const rowClasses = [];
+        if (row.prepayment > 0 && highlightPrepayments) {
+            rowClasses.push('prepayment-row');
+        }
+        if (row.closedLoans && row.closedLoans.length > 0) {
+            rowClasses.push('loan-closed-row');
+        }
+        if (row.rateRevised) {
+            rowClasses.push('rate-revision-row');
+        }
+        if (row.emiStepped) {
+            rowClasses.push('step-up-row');
+        }
+        if (group !== undefined) {
+            rowClasses.push('report-month-row');
+        }
+
+        return `
+            <tr class="${rowClasses.join(' ')}" data-month="${row.month}"${group !== undefined ?
+                ` data-group="${group}" style="display: none;"` : ''}>
+                <td>${options.emiDueDay ? formatDate(row.date) : row.monthYear}${row.closedLoans && row.closedLoans.length > 0 ?
+                    ` <span class="row-badge">${escapeHtml(row.closedLoans.join(', '))} closed</span>` : ''}</td>
+                ${rateCell}
+                <td>${formatScheduleAmount(row.emi + (row.finalAdjustment || 0))}${row.finalAdjustment ?
+                    ` <span class="row-badge">Final EMI ${row.finalAdjustment > 0 ? '+' : '−'}${formatScheduleAmount(Math.abs(row.finalAdjustment))}</span>` : ''}</td>
+                <td>${formatScheduleAmount(row.interest)}</td>
+                <td>${formatScheduleAmount(row.principal)}</td>
+                ${prepaymentCell}
+                ${progressCells(row)}
+            </tr>
+        `;
+    };
+
+    let tableHTML = '';
+
+    // Broken-period interest is paid before the first EMI and doesn't touch the principal
+    const brokenPeriod = options.brokenPeriod;
+    if (brokenPeriod && brokenPeriod.brokenPeriodInterest > 0) {
+        tableHTML += `
+            <tr class="broken-period-row">
+                <td>${formatDate(brokenPeriod.cycleStartDate)} <span class="row-badge">Pre-EMI, ${brokenPeriod.brokenPeriodDays} days</span></td>
+                ${showRates ? '<td>-</td>' : ''}
+                <td>${formatScheduleAmount(brokenPeriod.brokenPeriodInterest)}</td>
+                <td>${formatScheduleAmount(brokenPeriod.brokenPeriodInterest)}</td>
+                <td>${formatScheduleAmount(0)}</td>
+                ${showPrepayments ? '<td>-</td>' : ''}
+                <td>${formatScheduleAmount(state.principal)}</td>
+                <td>-</td>
+                <td>${formatScheduleAmount(0)}</td>
+                <td>${formatScheduleAmount(totalInterest)}</td>
+                <td>0.0%</td>
+            </tr>
+        `;
+    }
+
+    if (grouping === 'month') {
+        tableHTML += rows.map((row) => monthRow(row)).join('');
+    } else {
+        groupScheduleByYear(rows, grouping).forEach((group, index) => {
+            tableHTML += `
+                <tr class="report-group-row" data-group-row="${index}" onclick="toggleReportGroup(${index})">
+                    <td><span class="group-toggle">▸</span> ${group.label} <span class="row-badge">${group.months} months</span></td>
+                    ${showRates ? `<td>${group.rate.toFixed(2)}%</td>` : ''}
+                    <td>${formatScheduleAmount(group.paid)}</td>
+                    <td>${formatScheduleAmount(group.interest)}</td>
+                    <td>${formatScheduleAmount(group.principal)}</td>
+                    ${showPrepayments ? `<td>${group.prepayment > 0 ? formatScheduleAmount(group.prepayment) : '-'}</td>` : ''}
+                    ${progressCells(group)}
+                </tr>
+                ${group.rows.map((row) => monthRow(row, index)).join('')}
+            `;
+        });
+    }
+
+    const periodLabel = grouping === 'month' ? (options.emiDueDay ? 'Due Date' : 'Month/Year') :
+        (grouping === 'fy' ? 'Financial Year' : 'Year');
+    document.getElementById('reportTableHead').innerHTML = `
+        <tr>
+            <th>${periodLabel}</th>
+            ${showRates ? '<th>Rate</th>' : ''}
+            <th>${grouping === 'month' ? 'EMI Paid' : 'EMIs Paid'}</th>
+            <th>To Interest</th>
+            <th>To Principal</th>
+            ${showPrepayments ? `<th>${options.prepaymentLabel || 'Prepayment'}</th>` : ''}
+            <th>Remaining Principal</th>
+            <th>Interest Paid So Far</th>
+            <th>Principal Repaid So Far</th>
+            <th>Interest Still to Pay</th>
+            <th>Loan Repaid</th>
+        </tr>
+    `;
+    document.getElementById('reportTableBody').innerHTML = tableHTML;
+
+    // Totals of the rows themselves, matching the summary figures to the paisa
+    const brokenPeriodInterest = brokenPeriod ? brokenPeriod.brokenPeriodInterest : 0;
+    const totalPrincipal = rows.reduce((sum, row) => sum + row.principal, 0);
+    document.getElementById('reportTableFoot').innerHTML = `
+        <tr class="report-total-row">
+            <td>Total</td>
+            ${showRates ? '<td>-</td>' : ''}
+            <td>${formatScheduleAmount(totalInterest + totalPrincipal + brokenPeriodInterest)}</td>
+            <td>${formatScheduleAmount(totalInterest + brokenPeriodInterest)}</td>
+            <td>${formatScheduleAmount(totalPrincipal)}</td>
+            ${showPrepayments ? `<td>${formatScheduleAmount(summary.totalPrepaid)}</td>` : ''}
+            <td>${formatScheduleAmount(rows[rows.length - 1].balance)}</td>
+            <td>-</td>
+            <td>-</td>
+            <td>-</td>
+            <td>-</td>
+        </tr>
+    `;
+}
+
+/**
+ * Expand or collapse the months of one year row
+ */
+function toggleReportGroup(index, expand) {
+    const groupRow = document.querySelector(`#reportTableBody [data-group-row="${index}"]`);
+    const expanded = expand === undefined ? !groupRow.classList.contains('expanded') : expand;
+
+    groupRow.classList.toggle('expanded', expanded);
+    groupRow.querySelector('.group-toggle').textContent = expanded ? '▾' : '▸';
+    document.querySelectorAll(`#reportTableBody [data-group="${index}"]`).forEach((row) => {
+        row.style.display = expanded ? '' : 'none';
+    });
+}
+
+/**
+ * Scroll the report to the EMI of the chosen month, opening its year when grouped
+ */
+function jumpToReportDate() {
+    const state = window.reportTableState;
+    const value = document.getElementById('reportJumpDate').value;
+    if (!state || !value) {
+        alert('Please generate a report and pick a month to jump to');
+        return;
+    }
+
+    const parts = value.split('-').map((part) => parseInt(part, 10));
+    const rows = state.rows;
+    const match = rows.find((row) => row.date.getFullYear() === parts[0] && row.date.getMonth() === parts[1] - 1);
+    if (!match) {
+        alert(`Please pick a month between ${rows[0].monthYear} and ${rows[rows.length - 1].monthYear}`);
+        return;
+    }
+
+    const target = document.querySelector(`#reportTableBody [data-month="${match.month}"]`);
+    if (target.dataset.group !== undefined) {
+        toggleReportGroup(target.dataset.group, true);
+    }
+
+    document.querySelectorAll('#reportTableBody .report-row-target').forEach((row) => row.classList.remove('report-row-target'));
+    target.classList.add('report-row-target');
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Total interest of the report's loan under each interest method, to reconcile
+ * against lender statements. Portfolio reports mix loans, so they skip it.
+ */
+function renderInterestMethodComparison(principal, emi, monthlyRate, totalMonths, options) {
+    const container = document.getElementById('reportInterestMethods');
+    if (options.schedule) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const selected = options.interestMethod || 'monthly';
+    const rows = compareInterestMethods(principal, emi, monthlyRate, totalMonths, options).map((result) => {
+        const difference = result.method === selected ? 'This report' :
+            (result.difference >= 0 ? '+' : '-') + formatCurrency(Math.abs(result.difference));
+        return `
+            <tr class="${result.method === selected ? 'best-row' : ''}">
+                <td>${INTEREST_METHOD_NAMES[result.method]}</td>
+                <td>${formatCurrency(result.totalInterest)}</td>
+                <td>${difference}</td>
+                <td>${result.months}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <h4>Total Interest by Calculation Method (same EMI)</h4>
+        <div class="table-responsive">
+            <table class="emi-table">
+                <thead>
+                    <tr>
+                        <th>Method</th>
+                        <th>Total Interest</th>
+                        <th>Difference</th>
+                        <th>Months</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+    container.style.display = 'block';
+}
+
+/**
+ * Effective annual rate of a new loan with its charges. Only EMI Calculator
+ * reports know the charges, so the others hide it.
+ */
+function renderReportEffectiveRate(principal, monthlyRate, totalMonths, options) {
+    const item = document.getElementById('reportEffectiveRateItem');
+    if (!options.charges) {
+        item.style.display = 'none';
+        return;
+    }
+
+    const cost = calculateBorrowingCost(principal, monthlyRate * 12 * 100, totalMonths, options.charges, options);
+    document.getElementById('reportEffectiveRate').textContent = formatNumber(cost.effectiveRate) + '%';
+    item.style.display = '';
+}
+
+// Charts offered by the report chart picker
+const REPORT_CHART_TITLES = {
+    balance: 'Remaining Principal Over Time',
+    split: 'Yearly Interest vs Principal',
+    cost: 'Principal vs Interest vs Fees',
+    cumulative: 'Interest Paid Over Time'
+};
+
+// Fill the canvas white so downloaded PNGs are not transparent
+const CHART_BACKGROUND_PLUGIN = {
+    id: 'whiteBackground',
+    beforeDraw: function(chart) {
+        const ctx = chart.ctx;
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, chart.width, chart.height);
+        ctx.restore();
+    }
+};
+
+/**
+ * Amount axis shared by the report charts
+ */
+function getAmountScale(title, stacked) {
+    return {
+        beginAtZero: true,
+        stacked: stacked,
+        ticks: {
+            callback: function(value) {
+                return formatCompactCurrency(value);
+            },
+            font: { size: 12 }
+        },
+        title: {
+            display: true,
+            text: title + ' (' + getCurrencySymbol().trim() + ')'
+        }
+    };
+}
+
+/**
+ * Month-by-month line of one running figure: the balance or the interest paid so far
+ */
+function getReportLineChartConfig(rows, chartType) {
+    const isBalance = chartType === 'balance';
+    const color = isBalance ? '#ef4444' : '#f59e0b';
+
+    return {
+        type: 'line',
+        data: {
+            labels: rows.map((row) => row.monthYear),
+            datasets: [
+                {
+                    label: isBalance ? 'Remaining Principal' : 'Interest Paid So Far',
+                    data: rows.map((row) => Math.round(isBalance ? row.balance : row.cumulativeInterest)),
+                    borderColor: color,
+                    backgroundColor: isBalance ? 'rgba(239, 68, 68, 0.1)' : 'rgba(245, 158, 11, 0.1)',
+                    fill: true,
+                    tension: 0.2,
+                    borderWidth: 3,
+                    // Every month is plotted, so points only show on hover
+                    pointRadius: 0,
+                    pointHoverRadius: 5
+                }
+            ]
+        },
+        options: {
+            scales: {
+                y: getAmountScale(isBalance ? 'Remaining Principal Amount' : 'Interest Paid', false),
+                x: {
+                    ticks: { maxTicksLimit: 12 },
+                    title: {
+                        display: true,
+                        text: 'Time Period'
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Stacked bars of what each calendar year's EMIs paid towards interest and principal
+ */
+function getYearlySplitChartConfig(rows) {
+    const years = groupScheduleByYear(rows, 'year');
+    const datasets = [
+        { label: 'Interest', data: years.map((year) => Math.round(year.interest)), backgroundColor: '#ef4444' },
+        { label: 'Principal', data: years.map((year) => Math.round(year.principal)), backgroundColor: '#2563eb' }
+    ];
+    if (years.some((year) => year.prepayment > 0)) {
+        datasets.push({ label: 'Prepayment', data: years.map((year) => Math.round(year.prepayment)), backgroundColor: '#10b981' });
+    }
+
+    return {
+        type: 'bar',
+        data: {
+            labels: years.map((year) => year.label),
+            datasets: datasets
+        },
+        options: {
+            scales: {
+                y: getAmountScale('Paid in the Year', true),
+                x: {
+                    stacked: true,
+                    title: {
+                        display: true,
+                        text: 'Year'
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Doughnut of the principal against the total interest and, for EMI Calculator
+ * reports with charges, the fees
+ */
+function getCostBreakdownChartConfig(state) {
+    const options = state.options;
+    const brokenPeriod = options.brokenPeriod;
+    const interest = summarizeSchedule(state.rows).totalInterest + (brokenPeriod ? brokenPeriod.brokenPeriodInterest : 0);
+    const slices = [
+        { label: 'Principal', value: state.principal, color: '#2563eb' },
+        { label: 'Total Interest', value: interest, color: '#ef4444' }
+    ];
+    if (options.charges) {
+        const cost = calculateBorrowingCost(state.principal, state.monthlyRate * 12 * 100, state.totalMonths, options.charges, options);
+        slices.push({ label: 'Fees & Charges', value: cost.upfrontCharges + cost.recurringCharges, color: '#f59e0b' });
+    }
+    const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+
+    return {
+        type: 'doughnut',
+        data: {
+            labels: slices.map((slice) => slice.label),
+            datasets: [
+                {
+                    data: slices.map((slice) => Math.round(slice.value)),
+                    backgroundColor: slices.map((slice) => slice.color),
+                    borderColor: '#fff',
+                    borderWidth: 2
+                }
+            ]
+        },
+        options: {
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const share = total > 0 ? (context.parsed / total * 100).toFixed(1) : '0.0';
+                            return context.label + ': ' + formatCurrency(context.parsed) + ' (' + share + '%)';
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Draw the chart chosen in the picker for the report in window.reportTableState
+ */
+function renderReportChart() {
+    const state = window.reportTableState;
+    if (!state) {
+        return;
+    }
+
+    const chartType = document.getElementById('reportChartType').value;
+    let config;
+    if (chartType === 'split') {
+        config = getYearlySplitChartConfig(state.rows);
+    } else if (chartType === 'cost') {
+        config = getCostBreakdownChartConfig(state);
+    } else {
+        config = getReportLineChartConfig(state.rows, chartType);
+    }
+
+    // Settings every report chart shares
+    config.plugins = [CHART_BACKGROUND_PLUGIN];
+    config.options.responsive = true;
+    config.options.maintainAspectRatio = false;
+    config.options.plugins = Object.assign({
+        legend: {
+            display: true,
+            position: 'top',
+            labels: {
+                font: { size: 12, weight: 'bold' },
+                padding: 15,
+                usePointStyle: true
+            }
+        },
+        tooltip: {
+            callbacks: {
+                label: function(context) {
+                    return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                }
+            }
+        }
+    }, config.options.plugins);
+    config.options.plugins.tooltip = Object.assign({
+        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+        padding: 12,
+        cornerRadius: 8,
+        titleFont: { size: 14, weight: 'bold' },
+        bodyFont: { size: 13 }
+    }, config.options.plugins.tooltip);
+
+    // Destroy existing chart if it exists
+    if (window.emiChartInstance) {
+        window.emiChartInstance.destroy();
+    }
+
+    const ctx = document.getElementById('emiComparisonChart').getContext('2d');
+    window.emiChartInstance = new Chart(ctx, config);
+
+    document.getElementById('reportChartTitle').textContent = REPORT_CHART_TITLES[chartType];
+    document.getElementById('reportChart').style.display = 'block';
+}
+
+/**
+ * Download the chart on screen as a PNG image
+ */
+function downloadReportChart() {
+    const report = window.currentReportData;
+    if (!report || !window.emiChartInstance) {
+        alert('Please generate a report first');
+        return;
+    }
+
+    const chartType = document.getElementById('reportChartType').value;
+    const link = document.createElement('a');
+    link.href = window.emiChartInstance.toBase64Image();
+    link.download = getExportFileName(report, 'png', '-' + chartType + '-chart');
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+function generateAmortizationReport() {
+    // Get data from tab1Data
+    if (!window.tab1Data) {
+        alert('Please calculate EMI first in the EMI Calculator tab');
+        return;
+    }
+
+    const data = window.tab1Data;
+    const principal = data.principal;
+    const annualRate = data.annualRate;
+    const emi = data.emi;
+    const years = data.years;
+    
+    const monthlyRate = annualRate / 100 / 12;
+    const totalMonths = years * 12;
+
+    // Generate amortization table
+    const schedule = generateReportTable(principal, emi, monthlyRate, totalMonths, withLoanTerms(data, {
+        rateChanges: data.rateChanges,
+        charges: data.charges
+    }));
+
+    // Display report info
+    document.getElementById('reportPrincipal').textContent = formatCurrency(principal);
+    document.getElementById('reportRate').textContent = describeRateHistory(schedule, annualRate);
+    document.getElementById('reportEmi').textContent = formatScheduleAmount(emi);
+    document.getElementById('reportDuration').textContent = years + ' years';
+    document.getElementById('reportInfo').style.display = 'block';
+
+    // Store report data for export
+    window.currentReportData = {
+        title: 'EMI Calculator',
+        principal: principal,
+        annualRate: annualRate,
+        emi: emi,
+        totalMonths: totalMonths,
+        schedule: schedule,
+        interestMethod: data.interestMethod,
+        calendar: data.calendar,
+        rounding: getRoundingPolicy(),
+        rateChanges: data.rateChanges,
+        charges: data.charges,
+        source: 'emi'
+    };
+
+    // Switch to tab3
+    const tab3Button = document.querySelector('[data-tab="tab3"]');
+    if (tab3Button) {
+        tab3Button.click();
+    }
+}
+
+// ============================================
+// INCOME TAX BENEFITS (REPORTS TAB)
+// ============================================
+
+// Borrowers sharing the loan in the tax view; ownership shares must add up to 100%
+window.taxBorrowers = [
+    { name: 'Borrower 1', share: 100, taxSlab: 30, other80C: 0 }
+];
+
+function addTaxBorrower() {
+    window.taxBorrowers.push({
+        name: 'Borrower ' + (window.taxBorrowers.length + 1),
+        share: 0,
+        taxSlab: 30,
+        other80C: 0
+    });
+    renderTaxBorrowers();
+}
+
+function removeTaxBorrower(index) {
+    if (window.taxBorrowers.length === 1) {
+        alert('At least one borrower is needed');
+        return;
+    }
+    window.taxBorrowers.splice(index, 1);
+    renderTaxBorrowers();
+}
+
+function updateTaxBorrower(index, field, value) {
+    const borrower = window.taxBorrowers[index];
+    borrower[field] = field === 'name' ? value : parseFloat(value) || 0;
+}
+
+function renderTaxBorrowers() {
+    document.getElementById('taxBorrowerList').innerHTML = window.taxBorrowers.map((borrower, index) => `
+        <div class="schedule-entry">
+            <div class="form-group">
+                <label>Name</label>
+                <input type="text" value="${escapeHtml(borrower.name)}"
+                    onchange="updateTaxBorrower(${index}, 'name', this.value)">
+            </div>
+            <div class="form-group">
+                <label>Ownership (%)</label>
+                <input type="number" min="0" max="100" step="1" value="${escapeHtml(borrower.share)}"
+                    onchange="updateTaxBorrower(${index}, 'share', this.value)">
+            </div>
+            <div class="form-group">
+                <label>Tax Slab (%)</label>
+                <input type="number" min="0" max="100" step="0.1" value="${escapeHtml(borrower.taxSlab)}"
+                    onchange="updateTaxBorrower(${index}, 'taxSlab', this.value)">
+            </div>
+            <div class="form-group">
+                <label>Other 80C Investments (<span class="currency-symbol">${getCurrencySymbol().trim()}</span>)</label>
+                <input type="number" min="0" step="1000" value="${escapeHtml(borrower.other80C || '')}" placeholder="PF, ELSS..."
+                    onchange="updateTaxBorrower(${index}, 'other80C', this.value)">
+            </div>
+            <button class="btn-remove" title="Remove borrower" onclick="removeTaxBorrower(${index})">✕</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Financial-year tax benefits for the report currently shown
+ */
+function calculateTaxView() {
+    const report = window.currentReportData;
+    if (!report) {
+        alert('Please generate a report first');
+        return;
+    }
+
+    const borrowers = window.taxBorrowers;
+    const totalShare = borrowers.reduce((sum, borrower) => sum + borrower.share, 0);
+    if (Math.abs(totalShare - 100) > 0.01) {
+        alert(`Ownership shares must add up to 100% (currently ${Math.round(totalShare * 100) / 100}%)`);
+        return;
+    }
+
+    if (borrowers.some((borrower) => borrower.taxSlab < 0 || borrower.taxSlab > 100)) {
+        alert('Tax slabs must be between 0% and 100%');
+        return;
+    }
+
+    const regime = document.getElementById('taxRegime').value;
+    const occupancy = document.getElementById('taxOccupancy').value;
+    const annualRent = parseFloat(document.getElementById('taxRent').value) || 0;
+
+    const tax = calculateTaxBenefits(report.schedule, {
+        regime: regime,
+        occupancy: occupancy,
+        annualRent: occupancy === 'let-out' ? annualRent : 0,
+        borrowers: borrowers
+    });
+
+    document.getElementById('taxTotalSaved').textContent = formatCurrency(tax.taxSaved);
+    document.getElementById('taxTotalInterestDeduction').textContent = formatCurrency(tax.interestDeduction);
+    document.getElementById('taxTotalPrincipalDeduction').textContent = formatCurrency(tax.principalDeduction);
+    document.getElementById('taxEffectiveRate').textContent =
+        tax.postTaxEffectiveRate.toFixed(2) + '% (vs ' + tax.averageRate.toFixed(2) + '%)';
+
+    document.getElementById('taxYearBody').innerHTML = tax.years.map((year) => `
+        <tr>
+            <td>${year.label}${year.months < 12 ? ` <small>(${year.months} months)</small>` : ''}</td>
+            <td>${formatCurrency(year.interest)}</td>
+            <td>${formatCurrency(year.principal)}</td>
+            <td>${formatCurrency(year.interestDeduction)}</td>
+            <td>${formatCurrency(year.principalDeduction)}</td>
+            <td>${formatCurrency(year.taxSaved)}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('taxBorrowerSummary').innerHTML = tax.borrowers.length > 1 ? `
+        <h4>By Borrower</h4>
+        <div class="table-responsive">
+            <table class="emi-table">
+                <thead>
+                    <tr>
+                        <th>Borrower</th>
+                        <th>Ownership</th>
+                        <th>Tax Slab</th>
+                        <th>Interest Deduction</th>
+                        <th>80C Deduction</th>
+                        <th>Tax Saved</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${tax.borrowers.map((borrower) => `
+                        <tr>
+                            <td>${escapeHtml(borrower.name)}</td>
+                            <td>${borrower.share}%</td>
+                            <td>${borrower.taxSlab}%</td>
+                            <td>${formatCurrency(borrower.interestDeduction)}</td>
+                            <td>${formatCurrency(borrower.principalDeduction)}</td>
+                            <td>${formatCurrency(borrower.taxSaved)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    ` : '';
+
+    const notes = ['Use each borrower\'s marginal slab including cess, e.g. 31.2% for the 30% slab.'];
+    if (regime === 'new' && occupancy === 'self') {
+        notes.push('The new regime allows no deduction for a self-occupied home.');
+    } else if (occupancy === 'let-out') {
+        notes.push(regime === 'old' ?
+            `Interest is set off against rent after the 30% standard deduction; a remaining loss reduces other income by up to ${formatCurrency(SECTION_24B_LIMIT)} a year. Carrying forward the excess is not modelled.` :
+            'Under the new regime interest is only set off against rent after the 30% standard deduction; a loss cannot reduce other income.');
+    }
+    document.getElementById('taxNotes').innerHTML = notes.map((note) => `<p><small>${note}</small></p>`).join('');
+
+    document.getElementById('taxResults').style.display = 'block';
+}
+
+// ============================================
+// LOAN PORTFOLIO
+// ============================================
+
+const PORTFOLIO_STRATEGY_NAMES = {
+    minimum: 'EMIs Only',
+    avalanche: 'Avalanche',
+    snowball: 'Snowball',
+    custom: 'Custom Priority'
+};
+
+const PORTFOLIO_STRATEGY_HINTS = {
+    minimum: 'No surplus, each loan on its own EMI',
+    avalanche: 'Highest interest rate first',
+    snowball: 'Smallest balance first',
+    custom: 'Your priority order'
+};
+
+// Loans edited in the Loan Portfolio tab
+window.portfolioLoans = [];
+
+function addPortfolioLoan() {
+    const count = window.portfolioLoans.length;
+    window.portfolioLoans.push({
+        name: 'Loan ' + (count + 1),
+        principal: 0,
+        rate: 0,
+        emi: 0,
+        priority: count + 1
+    });
+    renderPortfolioLoans();
+}
+
+function removePortfolioLoan(index) {
+    window.portfolioLoans.splice(index, 1);
+    renderPortfolioLoans();
+}
+
+function updatePortfolioLoan(index, field, value) {
+    const loan = window.portfolioLoans[index];
+    loan[field] = field === 'name' ? value : parseFloat(value) || 0;
+}
+
+function renderPortfolioLoans() {
+    const container = document.getElementById('portfolioLoanList');
+
+    if (window.portfolioLoans.length === 0) {
+        container.innerHTML = '<p class="empty-message">No loans added yet</p>';
+        return;
+    }
+
+    container.innerHTML = window.portfolioLoans.map((loan, index) => `
+        <div class="schedule-entry">
+            <div class="form-group">
+                <label>Loan Name</label>
+                <input type="text" value="${escapeHtml(loan.name)}" placeholder="e.g. Car loan"
+                    onchange="updatePortfolioLoan(${index}, 'name', this.value)">
+            </div>
+            <div class="form-group">
+                <label>Outstanding (<span class="currency-symbol">${getCurrencySymbol().trim()}</span>)</label>
+                <input type="number" min="0" step="1000" value="${escapeHtml(loan.principal || '')}" placeholder="Principal"
+                    onchange="updatePortfolioLoan(${index}, 'principal', this.value)">
+            </div>
+            <div class="form-group">
+                <label>Rate (%)</label>
+                <input type="number" min="0" max="100" step="0.01" value="${escapeHtml(loan.rate || '')}" placeholder="Rate"
+                    onchange="updatePortfolioLoan(${index}, 'rate', this.value)">
+            </div>
+            <div class="form-group">
+                <label>EMI (<span class="currency-symbol">${getCurrencySymbol().trim()}</span>)</label>
+                <input type="number" min="0" step="100" value="${escapeHtml(loan.emi || '')}" placeholder="EMI"
+                    onchange="updatePortfolioLoan(${index}, 'emi', this.value)">
+            </div>
+            <div class="form-group">
+                <label>Custom Priority</label>
+                <input type="number" min="1" step="1" value="${escapeHtml(loan.priority)}"
+                    onchange="updatePortfolioLoan(${index}, 'priority', this.value)">
+            </div>
+            <button class="btn-remove" title="Remove loan" onclick="removePortfolioLoan(${index})">✕</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Format a month count as "3.5 years"
+ */
+function formatPortfolioDuration(months) {
+    return (months / 12).toFixed(1) + ' years';
+}
+
+/**
+ * Simulate every payoff strategy for the loans in the portfolio editor
+ */
+function calculatePortfolio() {
+    const loans = window.portfolioLoans;
+    const surplus = parseFloat(document.getElementById('portfolioSurplus').value) || 0;
+    const rollFreedEmis = document.getElementById('portfolioRollEmis').value === 'roll';
+
+    if (loans.length === 0) {
+        alert('Please add at least one loan');
+        return;
+    }
+
+    for (const loan of loans) {
+        if (!loan.principal || loan.rate < 0 || !loan.emi) {
+            alert(`Please enter the outstanding principal, interest rate and EMI for "${loan.name}"`);
+            return;
+        }
+
+        if (!isFinite(calculateMonthsToClose(loan.principal, loan.rate / 100 / 12, loan.emi))) {
+            alert(`The EMI for "${loan.name}" doesn't cover its monthly interest of ${formatCurrency(loan.principal * loan.rate / 100 / 12)}`);
+            return;
+        }
+    }
+
+    if (surplus < 0) {
+        alert('Monthly surplus cannot be negative');
+        return;
+    }
+
+    const engineLoans = loans.map((loan) => ({
+        name: loan.name,
+        principal: loan.principal,
+        annualRate: loan.rate,
+        emi: loan.emi,
+        priority: loan.priority
+    }));
+
+    const results = {};
+    Object.keys(PORTFOLIO_STRATEGY_NAMES).forEach((strategy) => {
+        results[strategy] = simulatePortfolio(engineLoans, surplus, {
+            strategy: strategy,
+            rollFreedEmis: rollFreedEmis
+        });
+    });
+
+    // Fewest rupees of interest wins; ties go to the earlier debt-free date
+    const best = ['avalanche', 'snowball', 'custom'].reduce((bestSoFar, strategy) => {
+        const result = results[strategy];
+        const current = results[bestSoFar];
+        const interestGap = result.totalInterest - current.totalInterest;
+        return interestGap < -0.5 || (Math.abs(interestGap) <= 0.5 && result.months < current.months) ? strategy : bestSoFar;
+    }, 'avalanche');
+    const baseline = results.minimum;
+
+    document.getElementById('portfolioStrategyBody').innerHTML = Object.keys(results).map((strategy) => {
+        const result = results[strategy];
+        const saved = baseline.totalInterest - result.totalInterest;
+        const isBest = strategy === best;
+        return `
+            <tr class="${isBest ? 'best-row' : ''}">
+                <td>
+                    <strong>${PORTFOLIO_STRATEGY_NAMES[strategy]}</strong> ${isBest ? '<span class="badge">✓ Best</span>' : ''}
+                    <br><small>${PORTFOLIO_STRATEGY_HINTS[strategy]}</small>
+                </td>
+                <td>${result.debtFree ? result.debtFreeMonthYear : 'Not within 50 years'}</td>
+                <td>${formatPortfolioDuration(result.months)}</td>
+                <td>${formatCurrency(result.totalInterest)}</td>
+                <td>${strategy === 'minimum' ? '-' : formatCurrency(saved)}</td>
+                <td><button class="btn-report" onclick="generatePortfolioReport('${strategy}')">📋 Report</button></td>
+            </tr>
+        `;
+    }).join('');
+
+    // Closing month of each loan under every strategy
+    const strategies = Object.keys(results);
+    document.getElementById('portfolioLoanHead').innerHTML = `
+        <tr>
+            <th>Loan</th>
+            <th>Rate</th>
+            <th>Outstanding</th>
+            ${strategies.map((strategy) => `<th>${PORTFOLIO_STRATEGY_NAMES[strategy]}</th>`).join('')}
+        </tr>
+    `;
+    document.getElementById('portfolioLoanBody').innerHTML = engineLoans.map((loan, index) => `
+        <tr>
+            <td>${escapeHtml(loan.name)}</td>
+            <td>${loan.annualRate.toFixed(2)}%</td>
+            <td>${formatCurrency(loan.principal)}</td>
+            ${strategies.map((strategy) => `<td>${results[strategy].loans[index].closedMonthYear || '-'}</td>`).join('')}
+        </tr>
+    `).join('');
+
+    const bestResult = results[best];
+    const totalPrincipal = engineLoans.reduce((sum, loan) => sum + loan.principal, 0);
+    const totalEmi = engineLoans.reduce((sum, loan) => sum + loan.emi, 0);
+
+    document.getElementById('portfolioDebtFree').textContent = bestResult.debtFree ?
+        bestResult.debtFreeMonthYear :
+        'Not within 50 years';
+    document.getElementById('portfolioTotalPrincipal').textContent = formatCurrency(totalPrincipal);
+    document.getElementById('portfolioMonthlyPayment').textContent = formatCurrency(totalEmi + surplus);
+
+    const interestSaved = baseline.totalInterest - bestResult.totalInterest;
+    const monthsSaved = baseline.months - bestResult.months;
+    document.getElementById('bestOptionPortfolio').innerHTML = interestSaved > 0.5 ? `
+        <p>
+            <strong style="color: var(--success-color);">${PORTFOLIO_STRATEGY_NAMES[best]} (${PORTFOLIO_STRATEGY_HINTS[best].toLowerCase()})</strong>
+            clears all ${engineLoans.length} loans by <span class="highlight">${bestResult.debtFreeMonthYear || '-'}</span>
+        </p>
+        <p>
+            <strong>Order of closing:</strong>
+            ${bestResult.loans.slice().sort((a, b) => a.closedMonth - b.closedMonth).map((loan) => escapeHtml(loan.name)).join(' → ')}
+        </p>
+        <p class="savings">
+            💰 You save ${formatCurrency(interestSaved)} in interest and finish ${formatPortfolioDuration(monthsSaved)} sooner than paying EMIs only
+        </p>
+    ` : `
+        <p>
+            <strong style="color: var(--primary-color);">Add a monthly surplus or roll freed-up EMIs into the next loan to see a strategy make a difference.</strong>
+        </p>
+    `;
+
+    // Store data for report generation
+    window.portfolioData = {
+        loans: engineLoans,
+        surplus: surplus,
+        rollFreedEmis: rollFreedEmis,
+        results: results
+    };
+
+    document.getElementById('portfolioResults').style.display = 'block';
+
+    recordCalculation('tab6');
+}
+
+/**
+ * Show the combined month-by-month schedule of a portfolio strategy in the Reports tab
+ */
+function generatePortfolioReport(strategy) {
+    if (!window.portfolioData || !window.portfolioData.results[strategy]) {
+        alert('Please compare payoff strategies first');
+        return;
+    }
+
+    const data = window.portfolioData;
+    const result = data.results[strategy];
+    const totalPrincipal = data.loans.reduce((sum, loan) => sum + loan.principal, 0);
+    const totalEmi = data.loans.reduce((sum, loan) => sum + loan.emi, 0);
+    const rates = data.loans.map((loan) => loan.annualRate);
+    const minRate = Math.min(...rates);
+    const maxRate = Math.max(...rates);
+    const reportTitle = 'Portfolio - ' + PORTFOLIO_STRATEGY_NAMES[strategy];
+
+    const schedule = generateReportTable(totalPrincipal, totalEmi, 0, result.months, {
+        schedule: result.schedule,
+        prepaymentLabel: 'Surplus & Rolled EMIs'
+    });
+
+    // Display report info
+    document.getElementById('reportPrincipal').textContent = formatCurrency(totalPrincipal) + ' (' + data.loans.length + ' loans)';
+    document.getElementById('reportRate').textContent = minRate === maxRate ?
+        minRate.toFixed(2) + '%' :
+        minRate.toFixed(2) + '% – ' + maxRate.toFixed(2) + '%';
+    document.getElementById('reportEmi').textContent = data.surplus > 0 && strategy !== 'minimum' ?
+        formatCurrency(totalEmi) + ' + ' + formatCurrency(data.surplus) + ' surplus' :
+        formatCurrency(totalEmi);
+    document.getElementById('reportDuration').textContent = reportTitle + ' (' + formatPortfolioDuration(result.months) + ')';
+    document.getElementById('reportInfo').style.display = 'block';
+
+    // Store report data for export
+    window.currentReportData = {
+        title: reportTitle,
+        principal: totalPrincipal,
+        annualRate: Math.round(schedule[0].rate * 100) / 100,
+        emi: totalEmi,
+        totalMonths: result.months,
+        schedule: schedule,
+        source: 'portfolio-' + strategy
+    };
+
+    // Switch to tab3
+    const tab3Button = document.querySelector('[data-tab="tab3"]');
+    if (tab3Button) {
+        tab3Button.click();
+    }
+}
+
+// ============================================
+// TAB 4: LUMP-SUM ADDITIONS
+// ============================================
+
+// One-time additions to the SIP edited in the SIP Calculator tab
+window.sipLumpSums = [];
+
+function addSipLumpSum() {
+    window.sipLumpSums.push({ month: 12, amount: 0 });
+    renderSipLumpSums();
+}
+
+function removeSipLumpSum(index) {
+    window.sipLumpSums.splice(index, 1);
+    renderSipLumpSums();
+}
+
+function updateSipLumpSum(index, field, value) {
+    window.sipLumpSums[index][field] = field === 'month' ? parseInt(value, 10) || 1 : parseFloat(value) || 0;
+}
+
+function renderSipLumpSums() {
+    const container = document.getElementById('sipLumpSumList');
+
+    if (window.sipLumpSums.length === 0) {
+        container.innerHTML = '<p class="empty-message">No lump sums added yet</p>';
+        return;
+    }
+
+    container.innerHTML = window.sipLumpSums.map((entry, index) => `
+        <div class="schedule-entry">
+            <div class="form-group">
+                <label>Amount (<span class="currency-symbol">${getCurrencySymbol().trim()}</span>)</label>
+                <input type="number" min="0" step="1000" value="${escapeHtml(entry.amount || '')}" placeholder="Amount"
+                    onchange="updateSipLumpSum(${index}, 'amount', this.value)">
+            </div>
+            <div class="form-group">
+                <label>In Month</label>
+                <input type="number" min="1" max="600" step="1" value="${escapeHtml(entry.month)}"
+                    onchange="updateSipLumpSum(${index}, 'month', this.value)">
+            </div>
+            <button class="btn-remove" title="Remove lump sum" onclick="removeSipLumpSum(${index})">✕</button>
+        </div>
+    `).join('');
+}
+
+// ============================================
+// TAB 4: SIP CALCULATOR
+// ============================================
+
+/**
+ * Step-up, lump sums and inflation from the SIP form, as buildSIPSchedule options.
+ * Returns false after alerting when a value is invalid.
+ */
+function readSIPOptions() {
+    const stepUpValue = parseFloat(document.getElementById('sipStepUpValue').value) || 0;
+    const inflationRate = parseFloat(document.getElementById('sipInflation').value) || 0;
+
+    if (stepUpValue < 0 || inflationRate < 0) {
+        alert('Please enter a step-up and inflation rate of 0 or more');
+        return false;
+    }
+
+    return {
+        stepUp: stepUpValue > 0 ? { type: document.getElementById('sipStepUpType').value, value: stepUpValue } : null,
+        lumpSums: window.sipLumpSums.filter((entry) => entry.amount > 0).map((entry) => Object.assign({}, entry)),
+        inflationRate: inflationRate
+    };
+}
+
+/**
+ * Calculate Tab 4: SIP Calculator
+ */
+function calculateTab4() {
+    const sipAmount = parseFloat(document.getElementById('sipAmount').value);
+    const sipRate = parseFloat(document.getElementById('sipRate').value);
+    const sipYears = parseFloat(document.getElementById('sipYears').value) || 0;
+    const sipMonths = parseFloat(document.getElementById('sipMonths').value) || 0;
+
+    // Validation
+    if (isNaN(sipAmount) || isNaN(sipRate)) {
+        alert('Please fill in monthly SIP amount and expected return rate');
+        return;
+    }
+
+    if (sipAmount <= 0 || sipRate < 0) {
+        alert('Please enter valid values for SIP amount and return rate');
+        return;
+    }
+
+    const totalYears = sipYears + (sipMonths / 12);
+    if (totalYears <= 0) {
+        alert('Please enter investment duration (years and/or months)');
+        return;
+    }
+
+    const options = readSIPOptions();
+    if (options === false) {
+        return;
+    }
+
+    const totalMonths = Math.round(totalYears * 12);
+    const plan = buildSIPSchedule(sipAmount, sipRate, totalMonths, options);
+    const maturityValue = plan.maturityValue;
+    const totalInvested = plan.totalInvested;
+    const expectedReturns = maturityValue - totalInvested;
+
+    // Display summary
+    document.getElementById('sipDisplayAmount').textContent = plan.finalInstalment > sipAmount ?
+        `${formatCurrency(sipAmount)} → ${formatCurrency(plan.finalInstalment)}` : formatCurrency(sipAmount);
+    document.getElementById('totalInvested').textContent = formatCurrency(totalInvested);
+    document.getElementById('expectedReturns').textContent = formatCurrency(expectedReturns);
+    document.getElementById('maturityValue').textContent = formatCurrency(maturityValue);
+    document.getElementById('sipRealMaturity').textContent = formatCurrency(plan.realMaturityValue);
+    document.getElementById('sipRealMaturityItem').style.display = options.inflationRate > 0 ? '' : 'none';
+
+    // Generate comparison table for different durations
+    const durations = [5, 10, 15, 20, 25];
+    if (!durations.includes(totalYears)) {
+        durations.push(totalYears);
+    }
+    durations.sort((a, b) => a - b);
+
+    let tableHTML = '';
+    let bestOption = null;
+    let maxReturns = -Infinity;
+
+    durations.forEach((duration) => {
+        if (duration <= totalYears) {
+            const durationMonths = Math.round(duration * 12);
+            const durationPlan = buildSIPSchedule(sipAmount, sipRate, durationMonths, options);
+            const durationMaturity = durationPlan.maturityValue;
+            const durationInvested = durationPlan.totalInvested;
+            const durationReturns = durationMaturity - durationInvested;
+            const returnPercentage = ((durationReturns / durationInvested) * 100).toFixed(2);
+
+            const isBest = durationReturns > maxReturns;
+            if (isBest) {
+                maxReturns = durationReturns;
+                bestOption = {
+                    duration: duration,
+                    invested: durationInvested,
+                    returns: durationReturns,
+                    maturity: durationMaturity,
+                    returnPercent: returnPercentage
+                };
+            }
+
+            const rowClass = isBest ? 'best-row' : '';
+            const badge = isBest ? '<span class="badge">✓ Best</span>' : '';
+
+            const durationDisplay = Math.floor(duration) === duration ? 
+                `${Math.floor(duration)} years` : 
+                `${Math.floor(duration)}Y ${Math.round((duration - Math.floor(duration)) * 12)}M`;
+
+            tableHTML += `
+                <tr class="${rowClass}">
+                    <td>${durationDisplay}</td>
+                    <td>${formatCurrency(durationInvested)}</td>
+                    <td>${formatCurrency(durationReturns)}</td>
+                    <td>${formatCurrency(durationMaturity)}</td>
+                    <td>${formatCurrency(durationPlan.realMaturityValue)}</td>
+                    <td>${returnPercentage}%</td>
+                </tr>
+            `;
+        }
+    });
+
+    document.getElementById('sipTableBody').innerHTML = tableHTML;
+
+    // Display best option
+    if (bestOption) {
+        const bestYears = Math.floor(bestOption.duration);
+        const bestMonths = Math.round((bestOption.duration - bestYears) * 12);
+        const bestDurationDisplay = bestMonths > 0 ? 
+            `${bestYears} years ${bestMonths} months` : 
+            `${bestYears} years`;
+
+        const bestOptionHTML = `
+            <p>
+                <strong>Recommended Duration:</strong> 
+                <span class="highlight">${bestDurationDisplay}</span>
+            </p>
+            <p>
+                <strong>Total Investment:</strong> 
+                <span class="highlight">${formatCurrency(bestOption.invested)}</span>
+            </p>
+            <p>
+                <strong>Expected Returns:</strong> 
+                <span class="highlight">${formatCurrency(bestOption.returns)}</span>
+            </p>
+            <p class="savings">
+                💰 Your investment grows by ${bestOption.returnPercent}% reaching ${formatCurrency(bestOption.maturity)}
+            </p>
+        `;
+        document.getElementById('bestOptionTab4').innerHTML = bestOptionHTML;
+    }
+
+    // Store data for later use
+    window.tab4Data = {
+        sipAmount: sipAmount,
+        sipRate: sipRate,
+        totalMonths: totalMonths,
+        maturityValue: maturityValue,
+        totalInvested: totalInvested,
+        options: options
+    };
+
+    // Show results
+    document.getElementById('tab4Results').style.display = 'block';
+    renderSIPGrowth(plan, options.inflationRate > 0);
+    // A simulation shown was of the previous inputs
+    document.getElementById('mcResults').style.display = 'none';
+
+    recordCalculation('tab4');
+}
+
+/**
+ * Year-by-year table and chart of a SIP plan, like the loan amortization report
+ */
+function renderSIPGrowth(plan, showRealValue) {
+    document.getElementById('sipYearBody').innerHTML = plan.years.map((year) => `
+        <tr>
+            <td>Year ${year.year} <small>(to ${year.endMonthYear})</small>${year.lumpSums > 0 ?
+                ` <span class="row-badge">+${formatCurrency(year.lumpSums)} lump sum</span>` : ''}</td>
+            <td>${formatCurrency(year.monthlyInstalment)}</td>
+            <td>${formatCurrency(year.investedInYear)}</td>
+            <td>${formatCurrency(year.invested)}</td>
+            <td>${formatCurrency(year.returns)}</td>
+            <td>${formatCurrency(year.value)}</td>
+            <td>${formatCurrency(year.realValue)}</td>
+        </tr>
+    `).join('');
+
+    const datasets = [
+        {
+            label: 'Total Invested',
+            data: plan.years.map((year) => Math.round(year.invested)),
+            borderColor: '#2563eb',
+            backgroundColor: 'rgba(37, 99, 235, 0.1)',
+            fill: true,
+            tension: 0.3,
+            borderWidth: 3,
+            pointRadius: 3
+        },
+        {
+            label: 'Value',
+            data: plan.years.map((year) => Math.round(year.value)),
+            borderColor: '#10b981',
+            backgroundColor: 'rgba(16, 185, 129, 0.1)',
+            fill: true,
+            tension: 0.3,
+            borderWidth: 3,
+            pointRadius: 3
+        }
+    ];
+    if (showRealValue) {
+        datasets.push({
+            label: "Value in Today's Money",
+            data: plan.years.map((year) => Math.round(year.realValue)),
+            borderColor: '#f59e0b',
+            backgroundColor: 'rgba(245, 158, 11, 0.1)',
+            borderDash: [6, 4],
+            tension: 0.3,
+            borderWidth: 3,
+            pointRadius: 3
+        });
+    }
+
+    if (window.sipChartInstance) {
+        window.sipChartInstance.destroy();
+    }
+
+    const ctx = document.getElementById('sipGrowthChart').getContext('2d');
+    window.sipChartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: plan.years.map((year) => 'Year ' + year.year),
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value) {
+                            return formatCompactCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Value at Year End (' + getCurrencySymbol().trim() + ')'
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Calculate with existing amount
+ */
+function calculateWithExistingAmount() {
+    const existingAmount = parseFloat(document.getElementById('existingSipAmount').value);
+    
+    if (!window.tab4Data) {
+        alert('Please calculate SIP first');
+        return;
+    }
+
+    if (isNaN(existingAmount) || existingAmount < 0) {
+        alert('Please enter valid existing amount');
+        return;
+    }
+
+    const data = window.tab4Data;
+    const months = data.totalMonths;
+
+    // Calculate returns on existing amount
+    const existingMaturity = calculateLumpSumReturns(existingAmount, data.sipRate, months);
+    const existingReturns = existingMaturity - existingAmount;
+
+    // Without existing amount
+    const withoutInvested = data.totalInvested;
+    const withoutReturns = data.maturityValue - data.totalInvested;
+    const withoutMaturity = data.maturityValue;
+
+    // With existing amount
+    const withInvested = data.totalInvested + existingAmount;
+    const withReturns = withoutReturns + existingReturns;
+    const withMaturity = data.maturityValue + existingMaturity;
+
+    // Display results
+    document.getElementById('withoutExistingInvested').textContent = formatCurrency(withoutInvested);
+    document.getElementById('withoutExistingReturns').textContent = formatCurrency(withoutReturns);
+    document.getElementById('withoutExistingMaturity').textContent = formatCurrency(withoutMaturity);
+
+    document.getElementById('withExistingInvested').textContent = formatCurrency(withInvested);
+    document.getElementById('withExistingReturns').textContent = formatCurrency(withReturns);
+    document.getElementById('withExistingMaturity').textContent = formatCurrency(withMaturity);
+
+    // Recommendation
+    const additionalBenefit = withMaturity - withoutMaturity;
+    const bestOptionHTML = `
+        <p>
+            <strong>Adding Existing Amount:</strong> 
+            <span class="highlight">${formatCurrency(existingAmount)}</span>
+        </p>
+        <p>
+            <strong>Additional Returns Generated:</strong> 
+            <span class="highlight">${formatCurrency(additionalBenefit)}</span>
+        </p>
+        <p class="savings">
+            🎯 Your total maturity value increases to ${formatCurrency(withMaturity)} 
+            with ${formatCurrency(withReturns)} in expected returns
+        </p>
+    `;
+    document.getElementById('bestOptionTab4').innerHTML = bestOptionHTML;
+
+    document.getElementById('existingResults').style.display = 'block';
+
+    recordCalculation('tab4');
+}
+
+// ============================================
+// TAB 4: RANGE OF OUTCOMES
+// ============================================
+
+// Background worker for Monte Carlo runs: null until first used, false when unavailable
+window.sipWorker = null;
+
+// Id of the latest simulation, so results of superseded runs are dropped
+window.sipSimulationId = 0;
+
+/**
+ * Annual returns (%) pasted as numbers separated by commas, spaces or new lines.
+ * Returns false when an entry is not a number.
+ */
+function parseHistoricalReturns(text) {
+    const returns = text.split(/[\s,;]+/)
+        .filter((entry) => entry !== '')
+        .map((entry) => Number(entry.replace(/%$/, '')));
+    return returns.some((value) => isNaN(value)) ? false : returns;
+}
+
+/**
+ * Run simulateSIPReturns in the background worker, or on the page when workers
+ * are unavailable (browsers block them for pages opened from a file)
+ */
+function runSimulationTask(request, onDone) {
+    if (window.sipWorker === null) {
+        try {
+            window.sipWorker = typeof Worker === 'undefined' ? false : new Worker('sip-worker.js');
+        } catch (error) {
+            window.sipWorker = false;
+        }
+    }
+
+    if (window.sipWorker) {
+        window.sipWorker.onmessage = (event) => onDone(event.data);
+        // The worker script could not be loaded
+        window.sipWorker.onerror = (event) => {
+            event.preventDefault();
+            window.sipWorker.terminate();
+            window.sipWorker = false;
+            runSimulationTask(request, onDone);
+        };
+        window.sipWorker.postMessage(request);
+        return;
+    }
+
+    // Deferred so the busy button is drawn before the page is blocked
+    setTimeout(() => {
+        try {
+            onDone({ id: request.id, result: simulateSIPReturns(request.monthlyAmount, request.months, request.options) });
+        } catch (error) {
+            onDone({ id: request.id, error: error.message });
+        }
+    }, 0);
+}
+
+/**
+ * Simulate the calculated SIP under uncertain returns
+ */
+function runSIPSimulation() {
+    const data = window.tab4Data;
+    if (!data) {
+        alert('Please calculate SIP first');
+        return;
+    }
+
+    const volatility = parseFloat(document.getElementById('mcVolatility').value);
+    const simulations = parseFloat(document.getElementById('mcSimulations').value);
+    const seed = parseFloat(document.getElementById('mcSeed').value);
+    const target = parseFloat(document.getElementById('mcTarget').value) || 0;
+    const historicalReturns = parseHistoricalReturns(document.getElementById('mcHistory').value);
+
+    if (historicalReturns === false) {
+        alert('Please enter historical returns as numbers separated by commas, e.g. 12.5, -8.2, 24.1');
+        return;
+    }
+
+    if (historicalReturns.length === 0 && (isNaN(volatility) || volatility < 0)) {
+        alert('Please enter the volatility of returns, or paste historical annual returns');
+        return;
+    }
+
+    if (!Number.isInteger(simulations) || simulations < 1 || simulations > MAX_SIMULATIONS ||
+        !Number.isInteger(seed) || seed < 0 || target < 0) {
+        alert(`Please enter 1 to ${MAX_SIMULATIONS} simulations, a whole-number seed and a target of 0 or more`);
+        return;
+    }
+
+    const request = {
+        id: ++window.sipSimulationId,
+        monthlyAmount: data.sipAmount,
+        months: data.totalMonths,
+        options: {
+            annualReturn: data.sipRate,
+            volatility: volatility || 0,
+            historicalReturns: historicalReturns,
+            simulations: simulations,
+            seed: seed,
+            target: target,
+            stepUp: data.options.stepUp,
+            lumpSums: data.options.lumpSums
+        }
+    };
+
+    const button = document.getElementById('mcRunButton');
+    button.disabled = true;
+    button.textContent = 'Simulating...';
+
+    runSimulationTask(request, (response) => {
+        if (response.id !== window.sipSimulationId) {
+            return;
+        }
+        button.disabled = false;
+        button.textContent = 'Run Simulation';
+
+        if (response.error) {
+            alert(response.error);
+            return;
+        }
+        renderSIPSimulation(response.result, request.options);
+        recordCalculation('tab4');
+    });
+}
+
+/**
+ * Percentile outcomes and fan chart of a simulation
+ */
+function renderSIPSimulation(result, options) {
+    const data = window.tab4Data;
+    document.getElementById('mcP10').textContent = formatCurrency(result.p10);
+    document.getElementById('mcP50').textContent = formatCurrency(result.p50);
+    document.getElementById('mcP90').textContent = formatCurrency(result.p90);
+    document.getElementById('mcProbability').textContent = result.probabilityOfTarget === null ? '' :
+        result.probabilityOfTarget.toFixed(1) + '%';
+    document.getElementById('mcTargetItem').style.display = result.probabilityOfTarget === null ? 'none' : '';
+
+    const source = options.historicalReturns.length > 0 ?
+        `each year's return drawn from ${options.historicalReturns.length} historical years` :
+        `${data.sipRate}% expected return with ${options.volatility}% volatility`;
+    let notes = `${result.simulations.toLocaleString()} simulations (seed ${result.seed}), ${source}. ` +
+        `At a constant ${data.sipRate}% the SIP reaches ${formatCurrency(data.maturityValue)}; ` +
+        `8 in 10 outcomes fall between P10 and P90.`;
+    if (data.options.inflationRate > 0) {
+        const deflator = Math.pow(1 + data.options.inflationRate / 100, data.totalMonths / 12);
+        notes += ` The median is ${formatCurrency(result.p50 / deflator)} in today's money.`;
+    }
+    if (result.target > 0) {
+        notes += ` ${result.probabilityOfTarget.toFixed(1)}% of outcomes reach the target of ${formatCurrency(result.target)}.`;
+    }
+    document.getElementById('mcNotes').textContent = notes;
+
+    if (window.mcChartInstance) {
+        window.mcChartInstance.destroy();
+    }
+
+    const ctx = document.getElementById('mcFanChart').getContext('2d');
+    window.mcChartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: result.years.map((year) => 'Year ' + year.year),
+            datasets: [
+                {
+                    label: 'Pessimistic (P10)',
+                    data: result.years.map((year) => Math.round(year.p10)),
+                    borderColor: '#ef4444',
+                    fill: false,
+                    tension: 0.3,
+                    borderWidth: 2,
+                    pointRadius: 0
+                },
+                {
+                    // Filled down to the P10 line, forming the fan
+                    label: 'Optimistic (P90)',
+                    data: result.years.map((year) => Math.round(year.p90)),
+                    borderColor: '#10b981',
+                    backgroundColor: 'rgba(16, 185, 129, 0.15)',
+                    fill: 0,
+                    tension: 0.3,
+                    borderWidth: 2,
+                    pointRadius: 0
+                },
+                {
+                    label: 'Median (P50)',
+                    data: result.years.map((year) => Math.round(year.p50)),
+                    borderColor: '#2563eb',
+                    fill: false,
+                    tension: 0.3,
+                    borderWidth: 3,
+                    pointRadius: 3
+                },
+                {
+                    label: 'Total Invested',
+                    data: result.years.map((year) => Math.round(year.invested)),
+                    borderColor: '#6b7280',
+                    borderDash: [6, 4],
+                    fill: false,
+                    tension: 0.3,
+                    borderWidth: 2,
+                    pointRadius: 0
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                },
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value) {
+                            return formatCompactCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Value at Year End (' + getCurrencySymbol().trim() + ')'
+                    }
+                }
+            }
+        }
+    });
+
+    document.getElementById('mcResults').style.display = 'block';
+}
+
+// ============================================
+// TAB 4: GOAL PLANNER
+// ============================================
+
+// Goals planned in the SIP Calculator tab; the required SIPs are solved when shown
+window.sipGoals = [];
+
+/**
+ * Add the goal in the planner form to the list of goals
+ */
+function addSipGoal() {
+    const name = document.getElementById('goalName').value.trim();
+    const targetAmount = parseFloat(document.getElementById('goalTarget').value);
+    const years = parseFloat(document.getElementById('goalYears').value);
+    const annualRate = parseFloat(document.getElementById('goalReturn').value);
+    const inflationRate = parseFloat(document.getElementById('goalInflation').value) || 0;
+    const existingCorpus = parseFloat(document.getElementById('goalExistingAmount').value) || 0;
+    const stepUpValue = parseFloat(document.getElementById('goalStepUpValue').value) || 0;
+
+    if (isNaN(targetAmount) || isNaN(years) || isNaN(annualRate)) {
+        alert('Please fill in the goal\'s cost, years until the goal and expected return rate');
+        return;
+    }
+
+    const goal = {
+        name: name || 'Goal ' + (window.sipGoals.length + 1),
+        targetAmount: targetAmount,
+        years: years,
+        annualRate: annualRate,
+        inflationRate: inflationRate,
+        existingCorpus: existingCorpus,
+        stepUp: stepUpValue > 0 ? { type: document.getElementById('goalStepUpType').value, value: stepUpValue } : null
+    };
+
+    try {
+        solveGoal(goal);
+    } catch (error) {
+        if (error instanceof RangeError) {
+            alert(error.message);
+            return;
+        }
+        throw error;
+    }
+
+    window.sipGoals.push(goal);
+    renderSipGoals();
+    recordCalculation('tab4');
+}
+
+function removeSipGoal(index) {
+    window.sipGoals.splice(index, 1);
+    renderSipGoals();
+    recordCalculation('tab4');
+}
+
+function solveGoal(goal) {
+    return solveSIPForGoal({
+        targetAmount: goal.targetAmount,
+        months: goal.years * 12,
+        annualRate: goal.annualRate,
+        inflationRate: goal.inflationRate,
+        existingCorpus: goal.existingCorpus,
+        stepUp: goal.stepUp
+    });
+}
+
+/**
+ * Goals with their required SIPs, and the total to invest every month from today
+ */
+function renderSipGoals() {
+    const goals = window.sipGoals;
+    if (goals.length === 0) {
+        document.getElementById('goalResults').style.display = 'none';
+        return;
+    }
+
+    let totalSip = 0;
+    let totalCost = 0;
+    let totalInvested = 0;
+    let latestYears = 0;
+    document.getElementById('goalTableBody').innerHTML = goals.map((goal, index) => {
+        const result = solveGoal(goal);
+        totalSip += result.requiredSip;
+        totalCost += result.futureTarget;
+        totalInvested += result.totalInvested;
+        latestYears = Math.max(latestYears, goal.years);
+
+        const stepUp = goal.stepUp ? `<small>Rising ${goal.stepUp.type === 'percent' ?
+            goal.stepUp.value + '%' : formatCurrency(goal.stepUp.value)} a year</small>` : '';
+        return `
+            <tr>
+                <td>${escapeHtml(goal.name)}<br><small>${goal.years} years @ ${goal.annualRate}% return, ${goal.inflationRate}% inflation</small></td>
+                <td>${formatCurrency(goal.targetAmount)}</td>
+                <td>${formatCurrency(result.futureTarget)}</td>
+                <td>${goal.existingCorpus > 0 ? `${formatCurrency(goal.existingCorpus)}<br><small>grows to ${formatCurrency(result.existingValue)}</small>` : '-'}</td>
+                <td>${result.covered ? '<span class="badge">✓ Covered</span>' : formatCurrency(result.requiredSip)}</td>
+                <td>${result.covered ? '-' : formatCurrency(result.finalSip)}${stepUp ? '<br>' + stepUp : ''}</td>
+                <td><button class="btn-remove" title="Remove goal" onclick="removeSipGoal(${index})">✕</button></td>
+            </tr>
+        `;
+    }).join('');
+
+    document.getElementById('goalSummary').innerHTML = `
+        <p>
+            <strong>Start investing:</strong>
+            <span class="highlight">${formatCurrency(totalSip)} a month</span>
+        </p>
+        <p>
+            <strong>Goals:</strong>
+            <span class="highlight">${goals.length}, the last one in ${latestYears} years</span>
+        </p>
+        <p class="savings">
+            🎯 Together the goals cost ${formatCurrency(totalCost)} when they fall due; you invest
+            ${formatCurrency(totalInvested)} in SIPs and returns and existing investments make up the rest
+        </p>
+    `;
+    document.getElementById('goalResults').style.display = 'block';
+}
+
+// ============================================
+// NAVIGATION AND DATA TRANSFER
+// ============================================
+
+/**
+ * Store current report data and navigate to Remaining Loan tab with pre-filled data
+ */
+function navigateToRemainingLoanWithData() {
+    // Get the current EMI calculator data
+    const principal = window.tab1Data?.principal;
+    const rate = window.tab1Data?.annualRate;
+    const emi = window.tab1Data?.emi;
+    
+    // Validate data exists
+    if (!principal || !rate || !emi) {
+        alert('Please calculate EMI first in the EMI Calculator tab');
+        return;
+    }
+    
+    // Pre-fill the Remaining Loan Calculator form
+    document.getElementById('currentPrincipal').value = principal;
+    document.getElementById('currentInterest').value = rate;
+    document.getElementById('currentEmi').value = Math.round(emi);
+    document.getElementById('interestMethod2').value = window.tab1Data.interestMethod || 'monthly';
+    
+    // Clear the additional payment field
+    document.getElementById('additionalPayment').value = '';
+    document.getElementById('additionalResults').style.display = 'none';
+    document.getElementById('prepaymentResults').style.display = 'none';
+    document.getElementById('stepUpResults').style.display = 'none';
+    document.getElementById('pviResults').style.display = 'none';
+    document.getElementById('refiResults').style.display = 'none';
+    document.getElementById('tab2Results').style.display = 'block';
+    
+    // Calculate and display the remaining loan info
+    calculateRemainingLoanBasic();
+    recordCalculation('tab2');
+    
+    // Switch to tab2
+    const tab2Button = document.querySelector('[data-tab="tab2"]');
+    if (tab2Button) {
+        tab2Button.click();
+    }
+    
+    // Scroll to top
+    window.scrollTo(0, 0);
+}
+
+/**
+ * Calculate basic remaining loan info without additional payment
+ */
+function calculateRemainingLoanBasic() {
+    const principal = parseFloat(document.getElementById('currentPrincipal').value);
+    const interestRate = parseFloat(document.getElementById('currentInterest').value);
+    const currentEmi = parseFloat(document.getElementById('currentEmi').value);
+    
+    if (!principal || !interestRate || !currentEmi) {
+        return;
+    }
+    
+    const monthlyRate = interestRate / 100 / 12;
+    const interestMethod = document.getElementById('interestMethod2').value;
+    const monthsToClose = calculateMonthsToClose(principal, monthlyRate, currentEmi, interestMethod);
+    const years = (monthsToClose / 12).toFixed(1);
+    
+    document.getElementById('currentEmiDisplay').textContent = formatCurrency(currentEmi);
+    document.getElementById('yearsToComplete').textContent = years;
+}
+
+// ============================================
+// CSV AND EXCEL EXPORT
+// ============================================
+
+const EXPORT_COLUMNS = [
+    { header: 'Month', key: 'month', numeric: true, width: 8 },
+    { header: 'Month/Year', key: 'monthYear', numeric: false, width: 12 },
+    { header: 'Rate (%)', key: 'rate', numeric: true, width: 10 },
+    { header: 'EMI Paid', key: 'emi', numeric: true, amount: true, width: 16 },
+    { header: 'Final EMI Adjustment', key: 'finalAdjustment', numeric: true, amount: true, width: 24 },
+    { header: 'To Interest', key: 'interest', numeric: true, amount: true, width: 16 },
+    { header: 'To Principal', key: 'principal', numeric: true, amount: true, width: 16 },
+    { header: 'Prepayment', key: 'prepayment', numeric: true, amount: true, width: 16 },
+    { header: 'Remaining Principal', key: 'balance', numeric: true, amount: true, width: 24 },
+    { header: 'Cumulative Interest', key: 'cumulativeInterest', numeric: true, amount: true, width: 24 },
+    { header: 'Cumulative Principal', key: 'principalRepaid', numeric: true, amount: true, width: 24 },
+    { header: 'Interest Still to Pay', key: 'interestRemaining', numeric: true, amount: true, width: 24 },
+    { header: 'Loan Repaid (%)', key: 'percentRepaid', numeric: true, width: 16 }
+];
+
+/**
+ * Column heading for exports; amount columns name the currency, e.g. EMI Paid (USD)
+ */
+function getExportHeader(column) {
+    return column.amount ? column.header + ' (' + window.displaySettings.currency + ')' : column.header;
+}
+
+/**
+ * Round to paisa so exported cells hold clean numbers instead of float noise
+ */
+function roundToPaisa(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Pre-EMI interest a new loan pays ahead of its first EMI, counted in the report's totals
+ * the same way the schedule table's total row counts it
+ */
+function getBrokenPeriodInterest(report) {
+    const calendar = report.calendar;
+    return calendar && calendar.emisPaid === undefined ? calendar.brokenPeriodInterest : 0;
+}
+
+/**
+ * Summary rows describing the loan behind the current report
+ */
+function getReportSummaryRows(report) {
+    const summary = summarizeSchedule(report.schedule);
+    const totalInterest = summary.totalInterest + getBrokenPeriodInterest(report);
+
+    const rows = [
+        ['Report', report.title],
+        ['Currency', window.displaySettings.currency],
+        ['Principal Amount', roundToPaisa(report.principal)],
+        ['Annual Interest Rate (%)', report.annualRate],
+        ['Rate History', describeRateHistory(report.schedule, report.annualRate)],
+        ['Interest Method', INTEREST_METHOD_NAMES[report.interestMethod || 'monthly']],
+        ['Monthly EMI', roundToPaisa(report.emi)],
+        ['Tenure (months)', summary.months],
+        ['Tenure (years)', roundToPaisa(summary.months / 12)],
+        ['Total Interest', roundToPaisa(totalInterest)],
+        ['Total Amount Paid', roundToPaisa(report.principal + totalInterest)]
+    ];
+
+    // The rounding the schedule was built with, not whatever the settings say now
+    if (report.rounding) {
+        rows.push(['EMI Rounding', EMI_ROUNDING_NAMES[report.rounding.emi]]);
+    }
+    rows.push(['Final EMI Adjustment', roundToPaisa(report.schedule[report.schedule.length - 1].finalAdjustment || 0)]);
+
+    if (summary.totalPrepaid > 0) {
+        rows.push(['Total Prepaid', roundToPaisa(summary.totalPrepaid)]);
+        rows.push(['Final EMI', roundToPaisa(summary.finalEmi)]);
+    }
+
+    const calendar = report.calendar;
+    if (calendar) {
+        rows.push(['Disbursement Date', formatDate(calendar.disbursementDate)]);
+        rows.push(['EMI Due Day', calendar.dueDay]);
+        rows.push(['First EMI Date', formatDate(calendar.firstEmiDate)]);
+        if (calendar.emisPaid !== undefined) {
+            rows.push(['EMIs Paid', calendar.emisPaid]);
+            rows.push(['Next EMI Date', formatDate(calendar.startDate)]);
+        } else {
+            rows.push(['Broken-Period Days', calendar.brokenPeriodDays]);
+            rows.push(['Broken-Period Interest', roundToPaisa(calendar.brokenPeriodInterest)]);
+        }
+    }
+
+    if (report.charges) {
+        const cost = calculateBorrowingCost(report.principal, report.annualRate, report.totalMonths, report.charges,
+            withLoanTerms(report, { rateChanges: report.rateChanges }));
+        rows.push(['Upfront Charges', roundToPaisa(cost.upfrontCharges)]);
+        rows.push(['Annual Charges (total)', roundToPaisa(cost.recurringCharges)]);
+        rows.push(['Total Cost of Borrowing', roundToPaisa(cost.totalCost)]);
+        rows.push(['Effective Annual Rate (%)', roundToPaisa(cost.effectiveRate)]);
+    }
+
+    return rows;
+}
+
+/**
+ * File name for exports, e.g. amortization-5000000-7.5pct-240m.csv
+ */
+function getExportFileName(report, extension, suffix = '') {
+    return `amortization-${Math.round(report.principal)}-${report.annualRate}pct-${report.schedule.length}m${suffix}.${extension}`;
+}
+
+/**
+ * Trigger a browser download for the given blob
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function escapeCsvValue(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Download the full amortization schedule as CSV
+ */
+function downloadReportCSV() {
+    const report = window.currentReportData;
+    if (!report || !report.schedule) {
+        alert('Please generate a report first');
+        return;
+    }
+
+    const lines = [EXPORT_COLUMNS.map((column) => escapeCsvValue(getExportHeader(column))).join(',')];
+    addRepaymentProgress(report.schedule, report.principal).forEach((row) => {
+        lines.push(EXPORT_COLUMNS.map((column) => {
+            const value = row[column.key];
+            return escapeCsvValue(column.numeric ? roundToPaisa(value || 0) : value);
+        }).join(','));
+    });
+
+    // BOM lets Excel detect UTF-8 when opening the file directly
+    const blob = new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, getExportFileName(report, 'csv'));
+}
+
+/**
+ * Download the amortization schedule as a native .xlsx workbook
+ * with a Summary sheet and a Schedule sheet
+ */
+function downloadReportExcel() {
+    const report = window.currentReportData;
+    if (!report || !report.schedule) {
+        alert('Please generate a report first');
+        return;
+    }
+
+    const summarySheet = buildWorksheetXml(
+        [['Field', 'Value']].concat(getReportSummaryRows(report)),
+        [28, 20]
+    );
+
+    const scheduleRows = [EXPORT_COLUMNS.map((column) => getExportHeader(column))];
+    addRepaymentProgress(report.schedule, report.principal).forEach((row) => {
+        scheduleRows.push(EXPORT_COLUMNS.map((column) => {
+            return column.numeric ? roundToPaisa(row[column.key] || 0) : row[column.key];
+        }));
+    });
+    const scheduleSheet = buildWorksheetXml(scheduleRows, EXPORT_COLUMNS.map((column) => column.width));
+
+    const blob = buildXlsxBlob([
+        { name: 'Summary', xml: summarySheet },
+        { name: 'Schedule', xml: scheduleSheet }
+    ]);
+    downloadBlob(blob, getExportFileName(report, 'xlsx'));
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a zero-based column index to a spreadsheet column name (0 -> A, 26 -> AA)
+ */
+function getColumnName(index) {
+    let name = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        name = String.fromCharCode(65 + remainder) + name;
+        n = Math.floor((n - 1) / 26);
+    }
+    return name;
+}
+
+/**
+ * Build SpreadsheetML for one sheet. The first row is styled as a header,
+ * numbers become numeric cells and everything else an inline string.
+ */
+function buildWorksheetXml(rows, columnWidths) {
+    const cols = columnWidths.map((width, index) => 
+        `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`
+    ).join('');
+
+    const rowsXml = rows.map((cells, rowIndex) => {
+        const cellsXml = cells.map((value, columnIndex) => {
+            const ref = getColumnName(columnIndex) + (rowIndex + 1);
+            if (rowIndex === 0) {
+                return `<c r="${ref}" s="1" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+            }
+            if (typeof value === 'number' && isFinite(value)) {
+                const style = Number.isInteger(value) ? '' : ' s="2"';
+                return `<c r="${ref}"${style}><v>${value}</v></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cellsXml}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<cols>${cols}</cols>` +
+        `<sheetData>${rowsXml}</sheetData>` +
+        '</worksheet>';
+}
+
+/**
+ * Package worksheets into an .xlsx (Office Open XML) zip archive
+ */
+function buildXlsxBlob(sheets) {
+    const files = [];
+
+    files.push({
+        name: '[Content_Types].xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheets.map((sheet, index) => 
+                `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+            ).join('') +
+            '</Types>'
+    });
+
+    files.push({
+        name: '_rels/.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>'
+    });
+
+    files.push({
+        name: 'xl/workbook.xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+            sheets.map((sheet, index) => 
+                `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+            ).join('') +
+            '</sheets></workbook>'
+    });
+
+    files.push({
+        name: 'xl/_rels/workbook.xml.rels',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            sheets.map((sheet, index) => 
+                `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+            ).join('') +
+            `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+            '</Relationships>'
+    });
+
+    // Style 1: bold header, style 2: #,##0.00 number format
+    files.push({
+        name: 'xl/styles.xml',
+        content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="3">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '</cellXfs>' +
+            '</styleSheet>'
+    });
+
+    sheets.forEach((sheet, index) => {
+        files.push({ name: `xl/worksheets/sheet${index + 1}.xml`, content: sheet.xml });
+    });
+
+    return new Blob([buildZip(files)], {
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+}
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Minimal zip writer (stored, uncompressed entries) - enough for .xlsx packages
+ */
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach((file) => {
+        const nameBytes = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const checksum = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);   // local file header signature
+        local.setUint16(4, 20, true);           // version needed to extract
+        local.setUint16(6, 0, true);            // flags
+        local.setUint16(8, 0, true);            // compression: stored
+        local.setUint16(10, 0, true);           // mod time
+        local.setUint16(12, 0x21, true);        // mod date (1980-01-01)
+        local.setUint32(14, checksum, true);
+        local.setUint32(18, data.length, true); // compressed size
+        local.setUint32(22, data.length, true); // uncompressed size
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);           // extra field length
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // central directory signature
+        central.setUint16(4, 20, true);         // version made by
+        central.setUint16(6, 20, true);         // version needed to extract
+        central.setUint16(8, 0, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, 0, true);
+        central.setUint16(14, 0x21, true);
+        central.setUint32(16, checksum, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint16(30, 0, true);         // extra field length
+        central.setUint16(32, 0, true);         // comment length
+        central.setUint16(34, 0, true);         // disk number
+        central.setUint16(36, 0, true);         // internal attributes
+        central.setUint32(38, 0, true);         // external attributes
+        central.setUint32(42, offset, true);    // offset of local header
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);         // end of central directory signature
+    end.setUint16(4, 0, true);
+    end.setUint16(6, 0, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    end.setUint16(20, 0, true);
+
+    const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+    const totalLength = parts.reduce((sum, part) => sum + part.length, 0);
+    const zip = new Uint8Array(totalLength);
+    let position = 0;
+    parts.forEach((part) => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+// ============================================
+// REPORT COMPARISON
+// ============================================
+
+// Line colours of pinned scenarios, reused in order
+const COMPARISON_COLORS = ['#2563eb', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#64748b'];
+
+// Reports pinned for side-by-side comparison, kept until the page is closed
+window.pinnedReports = [];
+
+/**
+ * Pin the report on screen to the comparison set. The figures are copied,
+ * so opening another report or recalculating leaves the pinned one as it was.
+ */
+function pinCurrentReport() {
+    const report = window.currentReportData;
+    if (!report || !report.schedule) {
+        alert('Please generate a report first');
+        return;
+    }
+
+    const name = prompt('Name this scenario in the comparison', `${report.title} (${report.annualRate}%)`);
+    if (name === null) {
+        return;
+    }
+
+    if (!name.trim()) {
+        alert('Please enter a name for the scenario');
+        return;
+    }
+
+    const summary = summarizeSchedule(report.schedule);
+    const totalInterest = summary.totalInterest + getBrokenPeriodInterest(report);
+    window.pinnedReports.push({
+        id: createScenarioId(),
+        name: name.trim(),
+        emi: report.emi,
+        months: summary.months,
+        closingMonthYear: summary.closingMonthYear,
+        totalInterest: totalInterest,
+        totalPaid: report.principal + totalInterest,
+        balances: report.schedule.map((row) => row.balance)
+    });
+
+    renderReportComparison();
+    document.getElementById('reportComparison').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function unpinReport(id) {
+    window.pinnedReports = window.pinnedReports.filter((pinned) => pinned.id !== id);
+    renderReportComparison();
+}
+
+function clearPinnedReports() {
+    window.pinnedReports = [];
+    renderReportComparison();
+}
+
+/**
+ * Difference of a pinned figure from the baseline, e.g. +₹12,000 or −18 months
+ */
+function formatComparisonDifference(value, baselineValue, format) {
+    const difference = value - baselineValue;
+    if (Math.abs(difference) < 0.005) {
+        return '';
+    }
+    return `<small class="comparison-diff">${difference > 0 ? '+' : '−'}${format(Math.abs(difference))}</small>`;
+}
+
+/**
+ * Summary grid and balance chart of the pinned reports, against the chosen baseline
+ */
+function renderReportComparison() {
+    const pinned = window.pinnedReports;
+    const section = document.getElementById('reportComparison');
+
+    if (pinned.length === 0) {
+        if (window.comparisonChartInstance) {
+            window.comparisonChartInstance.destroy();
+            window.comparisonChartInstance = null;
+        }
+        section.style.display = 'none';
+        return;
+    }
+
+    // Keep the chosen baseline while it is pinned, otherwise fall back to the first scenario
+    const baselineSelect = document.getElementById('comparisonBaseline');
+    const baseline = pinned.find((item) => item.id === baselineSelect.value) || pinned[0];
+    baselineSelect.innerHTML = pinned.map((item) =>
+        `<option value="${item.id}">${escapeHtml(item.name)}</option>`).join('');
+    baselineSelect.value = baseline.id;
+
+    const formatMonths = (months) => months + (months === 1 ? ' month' : ' months');
+    document.getElementById('comparisonTableBody').innerHTML = pinned.map((item) => {
+        const isBaseline = item === baseline;
+        return `
+            <tr class="${isBaseline ? 'baseline-row' : ''}">
+                <td>${escapeHtml(item.name)}${isBaseline ? ' <span class="badge">Baseline</span>' : ''}</td>
+                <td>${formatScheduleAmount(item.emi)}${formatComparisonDifference(item.emi, baseline.emi, formatScheduleAmount)}</td>
+                <td>${formatCurrency(item.totalInterest)}${formatComparisonDifference(item.totalInterest, baseline.totalInterest, formatCurrency)}</td>
+                <td>${item.closingMonthYear}${formatComparisonDifference(item.months, baseline.months, formatMonths)}</td>
+                <td>${formatCurrency(item.totalPaid)}${formatComparisonDifference(item.totalPaid, baseline.totalPaid, formatCurrency)}</td>
+                <td><button class="btn-remove" title="Remove from comparison" onclick="unpinReport('${item.id}')">✕</button></td>
+            </tr>
+        `;
+    }).join('');
+
+    generateComparisonChart(pinned);
+    section.style.display = 'block';
+}
+
+/**
+ * Overlay the outstanding balance of every pinned report on one chart
+ */
+function generateComparisonChart(pinned) {
+    // Every 6 months like the report chart, plus the month each scenario closes
+    const longest = Math.max.apply(null, pinned.map((item) => item.months));
+    const closingMonths = pinned.map((item) => item.months);
+    const months = [];
+    for (let month = 1; month <= longest; month++) {
+        if (month === 1 || month % 6 === 0 || closingMonths.includes(month)) {
+            months.push(month);
+        }
+    }
+
+    if (window.comparisonChartInstance) {
+        window.comparisonChartInstance.destroy();
+    }
+
+    const ctx = document.getElementById('comparisonChart').getContext('2d');
+    window.comparisonChartInstance = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: months.map((month) => 'Month ' + month),
+            datasets: pinned.map((item, index) => {
+                const color = COMPARISON_COLORS[index % COMPARISON_COLORS.length];
+                return {
+                    label: item.name,
+                    data: months.map((month) => month <= item.months ? Math.round(item.balances[month - 1]) : 0),
+                    borderColor: color,
+                    backgroundColor: color,
+                    fill: false,
+                    tension: 0.3,
+                    borderWidth: 3,
+                    pointRadius: 2
+                };
+            })
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return context.dataset.label + ': ' + formatCurrency(context.parsed.y);
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value) {
+                            return formatCompactCurrency(value);
+                        }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Remaining Principal Amount (' + getCurrencySymbol().trim() + ')'
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Time Period'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// ============================================
+// PRINT
+// ============================================
+
+/**
+ * Fill the print-only document and open the browser's print dialog, from which
+ * "Save as PDF" also works. The print stylesheet hides the app around it.
+ */
+function printDocument(title, bodyHTML) {
+    document.getElementById('printDocument').innerHTML = `
+        <header class="print-header">
+            <h1>${escapeHtml(title)}</h1>
+            <p>Home Loan Calculator · Printed on ${formatDate(new Date())}</p>
+        </header>
+        ${bodyHTML}
+    `;
+    window.print();
+}
+
+/**
+ * Two-column table of [label, value] pairs
+ */
+function buildPrintSummary(rows) {
+    return `
+        <table class="print-summary">
+            <tbody>
+                ${rows.map((row) => `<tr><th>${escapeHtml(row[0])}</th><td>${escapeHtml(row[1])}</td></tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Copy of an on-screen table without its report button column
+ */
+function getPrintableTable(tableId) {
+    const table = document.getElementById(tableId).cloneNode(true);
+    table.removeAttribute('id');
+    table.className = 'print-table';
+
+    const reportColumn = Array.from(table.tHead.rows[0].cells).findIndex((cell) => cell.textContent.trim() === 'Report');
+    if (reportColumn >= 0) {
+        Array.from(table.rows).forEach((row) => {
+            if (row.cells.length > reportColumn) {
+                row.deleteCell(reportColumn);
+            }
+        });
+    }
+
+    return table.outerHTML;
+}
+
+/**
+ * Print the current report: its summary, key totals, the chart and the table as shown
+ */
+function printReport() {
+    const report = window.currentReportData;
+    if (!report || !report.schedule) {
+        alert('Please generate a report first');
+        return;
+    }
+
+    const summary = summarizeSchedule(report.schedule);
+    const totalInterest = summary.totalInterest + getBrokenPeriodInterest(report);
+    const inputs = Array.from(document.querySelectorAll('#reportInfo .summary-item'))
+        .filter((item) => item.style.display !== 'none')
+        .map((item) => [item.querySelector('label').textContent, item.querySelector('span').textContent]);
+    const totals = [
+        ['Interest Method', INTEREST_METHOD_NAMES[report.interestMethod || 'monthly']],
+        ['Total Interest', formatCurrency(totalInterest)],
+        ['Total Amount Paid', formatCurrency(report.principal + totalInterest)],
+        ['Last EMI', summary.closingMonthYear + ' (' + summary.months + ' EMIs)']
+    ];
+    if (summary.totalPrepaid > 0) {
+        totals.push(['Total Prepaid', formatCurrency(summary.totalPrepaid)]);
+    }
+
+    // Canvases don't print reliably, so the chart picked goes in as an image under its own title
+    const chartTitle = REPORT_CHART_TITLES[document.getElementById('reportChartType').value];
+    const chart = window.emiChartInstance ? `
+        <h2>${chartTitle}</h2>
+        <img class="print-chart" src="${window.emiChartInstance.toBase64Image()}" alt="${chartTitle}">` : '';
+
+    printDocument('Amortization Report: ' + report.title, `
+        <h2>Loan Summary</h2>
+        ${buildPrintSummary(inputs.concat(totals))}
+        ${chart}
+        <h2>Amortization Schedule</h2>
+        <table class="print-table">
+            <thead>${document.getElementById('reportTableHead').innerHTML}</thead>
+            <tbody>${document.getElementById('reportTableBody').innerHTML}</tbody>
+            <tfoot>${document.getElementById('reportTableFoot').innerHTML}</tfoot>
+        </table>
+    `);
+}
+
+/**
+ * Print the EMI Calculator results with the comparison across durations
+ */
+function printEmiComparison() {
+    const data = window.tab1Data;
+    if (!data) {
+        alert('Please calculate EMI first');
+        return;
+    }
+
+    const details = ['loanDatesTab1', 'borrowingCostTab1']
+        .map((id) => document.getElementById(id))
+        .filter((box) => box.style.display !== 'none')
+        .map((box) => `<div class="print-note">${box.innerHTML}</div>`)
+        .join('');
+
+    printDocument('EMI Comparison', `
+        <h2>Loan Summary</h2>
+        ${buildPrintSummary([
+            ['Principal Amount', formatCurrency(data.principal)],
+            ['Interest Rate', formatNumber(data.annualRate) + '%'],
+            ['Interest Method', INTEREST_METHOD_NAMES[data.interestMethod]],
+            ['Loan Duration', formatNumber(data.years) + ' years'],
+            ['Monthly EMI', formatCurrency(data.emi)]
+        ])}
+        ${details}
+        <h2>EMI for Different Durations</h2>
+        ${getPrintableTable('emiComparisonTable')}
+        <h2>Best Option</h2>
+        <div class="print-note">${document.getElementById('bestOptionTab1').innerHTML}</div>
+    `);
+}
+
+/**
+ * Print the Remaining Loan results: current EMI against paying more every month
+ */
+function printRemainingLoanComparison() {
+    const data = window.tab2ReportData;
+    if (!data) {
+        alert('Please calculate additional payment first');
+        return;
+    }
+
+    const text = (id) => document.getElementById(id).textContent;
+
+    printDocument('Remaining Loan: Impact of Additional Payment', `
+        <h2>Loan Summary</h2>
+        ${buildPrintSummary([
+            ['Outstanding Principal', formatCurrency(data.principal)],
+            ['Interest Rate', formatNumber(data.annualRate) + '%'],
+            ['Interest Method', INTEREST_METHOD_NAMES[data.interestMethod]],
+            ['Current EMI', formatCurrency(data.currentEmi)]
+        ])}
+        <h2>Savings Comparison</h2>
+        <table class="print-table">
+            <thead>
+                <tr><th></th><th>With Current EMI</th><th>With Additional Payment</th></tr>
+            </thead>
+            <tbody>
+                <tr><th>Monthly Payment</th><td>${text('originalEmiAmount')}</td><td>${text('newEmiAmount')}</td></tr>
+                <tr><th>Time to Complete</th><td>${text('originalYears')} years</td><td>${text('newYears')} years</td></tr>
+                <tr><th>Total Interest</th><td>${text('originalInterest')}</td><td>${text('newInterest')}</td></tr>
+            </tbody>
+        </table>
+        <h2>Recommendation</h2>
+        <div class="print-note">${document.getElementById('bestOptionTab2').innerHTML}</div>
+    `);
+}
+
+// ============================================
+// SAVED SCENARIOS
+// ============================================
+
+const SCENARIO_STORAGE_KEY = 'loanCalcScenarios';
+
+// Bump when the stored shape changes and add a step to migrateScenarioLibrary
+const SCENARIO_SCHEMA_VERSION = 1;
+
+const SCENARIO_TAB_NAMES = {
+    tab1: 'EMI Calculator',
+    tab2: 'Remaining Loan',
+    tab4: 'SIP Calculator',
+    tab6: 'Loan Portfolio',
+    tab7: 'Eligibility'
+};
+
+/**
+ * Bring a stored or imported library up to the current schema version.
+ * Unknown fields are kept so newer saves survive a round trip through older code.
+ */
+function migrateScenarioLibrary(library) {
+    // Unversioned libraries were a bare array of scenarios
+    if (Array.isArray(library)) {
+        library = { version: 1, scenarios: library };
+    }
+
+    if (!library || !Array.isArray(library.scenarios)) {
+        return null;
+    }
+
+    const seenIds = new Set();
+    const scenarios = library.scenarios
+        .filter((scenario) => scenario && SCENARIO_TAB_NAMES[scenario.tab] && scenario.inputs && typeof scenario.inputs === 'object')
+        .map((scenario) => {
+            const migrated = Object.assign({
+                name: 'Untitled scenario',
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            }, scenario);
+            migrated.name = String(migrated.name);
+            migrated.inputs = normalizeScenarioInputs(migrated.inputs);
+            migrated.extras = normalizeScenarioExtras(migrated.tab, migrated.extras);
+            // Ids end up in the page, so anything not shaped like ours (or repeated) is replaced
+            if (typeof migrated.id !== 'string' || !SCENARIO_ID_PATTERN.test(migrated.id) || seenIds.has(migrated.id)) {
+                migrated.id = createScenarioId();
+            }
+            seenIds.add(migrated.id);
+            return migrated;
+        });
+
+    return { version: SCENARIO_SCHEMA_VERSION, scenarios: scenarios };
+}
+
+/**
+ * Form values of a stored or imported scenario, keeping only text and numbers
+ */
+function normalizeScenarioInputs(inputs) {
+    const normalized = {};
+    Object.keys(inputs).forEach((id) => {
+        if (typeof inputs[id] === 'string' || typeof inputs[id] === 'number') {
+            normalized[id] = String(inputs[id]);
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Editor lists of a stored or imported scenario, passed through the share link codecs so
+ * they follow the same rules as a link: numeric amounts and months, YYYY-MM dates, known types
+ */
+function normalizeScenarioExtras(tabId, extras) {
+    const normalized = {};
+    (LINK_LISTS[tabId] || []).forEach((list) => {
+        const entries = extras && Array.isArray(extras[list.extra]) ? extras[list.extra] : [];
+        try {
+            normalized[list.extra] = list.decode(list.encode(entries.filter((entry) => entry && typeof entry === 'object')));
+        } catch (error) {
+            normalized[list.extra] = [];
+        }
+    });
+    return normalized;
+}
+
+// Shape of the ids createScenarioId generates
+const SCENARIO_ID_PATTERN = /^s[a-z0-9]+$/;
+
+function createScenarioId() {
+    return 's' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function loadScenarioLibrary() {
+    try {
+        const stored = localStorage.getItem(SCENARIO_STORAGE_KEY);
+        const library = stored ? migrateScenarioLibrary(JSON.parse(stored)) : null;
+        // Keep ids the migration replaced, so they still match on the next read
+        if (library && JSON.stringify(library) !== stored) {
+            saveScenarioLibrary(library);
+        }
+        return library || { version: SCENARIO_SCHEMA_VERSION, scenarios: [] };
+    } catch (error) {
+        console.error('Could not read saved scenarios', error);
+        return { version: SCENARIO_SCHEMA_VERSION, scenarios: [] };
+    }
+}
+
+function saveScenarioLibrary(library) {
+    try {
+        localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(library));
+        return true;
+    } catch (error) {
+        alert('Could not save scenarios in this browser: ' + error.message);
+        return false;
+    }
+}
+
+/**
+ * Current form values of a tab, keyed by input id
+ */
+function collectTabInputs(tabId) {
+    const inputs = {};
+    document.querySelectorAll(`#${tabId} input[id], #${tabId} select[id], #${tabId} textarea[id]`).forEach((field) => {
+        if (field.type !== 'file') {
+            inputs[field.id] = field.value;
+        }
+    });
+    return inputs;
+}
+
+/**
+ * Entries from the schedule editors that belong to a tab
+ */
+function collectTabExtras(tabId) {
+    const extras = {};
+    if (tabId === 'tab1' || tabId === 'tab2') {
+        extras.rateRevisions = window.rateRevisions[tabId].map((revision) => Object.assign({}, revision));
+    }
+    if (tabId === 'tab2') {
+        extras.prepayments = window.prepaymentEntries.map((entry) => Object.assign({}, entry));
+    }
+    if (tabId === 'tab4') {
+        extras.lumpSums = window.sipLumpSums.map((entry) => Object.assign({}, entry));
+        extras.goals = window.sipGoals.map((goal) => Object.assign({}, goal));
+    }
+    if (tabId === 'tab6') {
+        extras.loans = window.portfolioLoans.map((loan) => Object.assign({}, loan));
+    }
+    return extras;
+}
+
+function applyTabInputs(tabId, inputs, extras) {
+    Object.keys(inputs).forEach((id) => {
+        const field = document.getElementById(id);
+        if (field && field.closest('#' + tabId)) {
+            field.value = inputs[id];
+        }
+    });
+
+    extras = extras || {};
+    if (tabId === 'tab1') {
+        updateSolveFor();
+    }
+    if (tabId === 'tab1' || tabId === 'tab2') {
+        window.rateRevisions[tabId] = (extras.rateRevisions || []).map((revision) => Object.assign({}, revision));
+        renderRateRevisions(tabId);
+    }
+    if (tabId === 'tab2') {
+        window.prepaymentEntries = (extras.prepayments || []).map((entry) => Object.assign({}, entry));
+        renderPrepaymentEntries();
+    }
+    if (tabId === 'tab4') {
+        window.sipLumpSums = (extras.lumpSums || []).map((entry) => Object.assign({}, entry));
+        renderSipLumpSums();
+        window.sipGoals = (extras.goals || []).map((goal) => Object.assign({}, goal));
+        renderSipGoals();
+    }
+    if (tabId === 'tab6') {
+        window.portfolioLoans = (extras.loans || []).map((loan) => Object.assign({}, loan));
+        renderPortfolioLoans();
+    }
+}
+
+/**
+ * Re-run a tab's calculations from its current inputs, including the
+ * follow-up sections (additional payment, prepayments, step-up, existing SIP)
+ */
+function rerunTabCalculation(tabId, inputs) {
+    if (tabId === 'tab1') {
+        calculateTab1();
+    } else if (tabId === 'tab2') {
+        calculateTab2();
+        if (!window.tab2Data) {
+            return;
+        }
+        // calculateTab2 clears the additional payment field
+        if (parseFloat(inputs.additionalPayment) > 0) {
+            document.getElementById('additionalPayment').value = inputs.additionalPayment;
+            calculateAdditionalPayment();
+        }
+        if (window.prepaymentEntries.some((entry) => entry.amount > 0)) {
+            calculatePrepaymentImpact();
+        }
+        if (parseFloat(inputs.stepUpValue) > 0) {
+            calculateStepUpImpact();
+        }
+        if (parseFloat(inputs.pviSurplus) > 0 && inputs.pviReturn !== '') {
+            calculatePrepayVsInvest();
+        }
+        if (inputs.refiRate !== undefined && inputs.refiRate !== '') {
+            calculateRefinance();
+        }
+    } else if (tabId === 'tab4') {
+        // A link or scenario may only hold goals
+        if (inputs.sipAmount !== '' || window.sipGoals.length === 0) {
+            calculateTab4();
+        } else {
+            recordCalculation('tab4');
+        }
+        if (window.tab4Data && parseFloat(inputs.existingSipAmount) > 0) {
+            calculateWithExistingAmount();
+        }
+        if (window.tab4Data && (inputs.mcVolatility || (inputs.mcHistory || '').trim())) {
+            runSIPSimulation();
+        }
+        renderSipGoals();
+    } else if (tabId === 'tab6') {
+        if (window.portfolioLoans.length > 0) {
+            calculatePortfolio();
+        }
+    } else if (tabId === 'tab7') {
+        calculateEligibility();
+    }
+}
+
+/**
+ * Save the current inputs of a calculator tab under a name
+ */
+function saveScenario(tabId) {
+    const inputs = collectTabInputs(tabId);
+    const extras = collectTabExtras(tabId);
+    const hasValues = Object.keys(inputs).some((id) => inputs[id] !== '' && document.getElementById(id).tagName === 'INPUT') ||
+        Object.keys(extras).some((key) => extras[key].length > 0);
+
+    if (!hasValues) {
+        alert('Please fill in the calculator before saving a scenario');
+        return;
+    }
+
+    const name = prompt('Name this scenario (e.g. "HDFC floating loan")', SCENARIO_TAB_NAMES[tabId] + ' scenario');
+    if (name === null) {
+        return;
+    }
+
+    if (!name.trim()) {
+        alert('Please enter a name for the scenario');
+        return;
+    }
+
+    const now = new Date().toISOString();
+    const library = loadScenarioLibrary();
+    library.scenarios.push({
+        id: createScenarioId(),
+        name: name.trim(),
+        tab: tabId,
+        createdAt: now,
+        updatedAt: now,
+        inputs: inputs,
+        extras: extras
+    });
+
+    if (saveScenarioLibrary(library)) {
+        renderScenarioList();
+        alert(`Scenario "${name.trim()}" saved`);
+    }
+}
+
+function findScenario(library, id) {
+    return library.scenarios.find((scenario) => scenario.id === id);
+}
+
+function openScenario(id) {
+    const scenario = findScenario(loadScenarioLibrary(), id);
+    if (!scenario) {
+        alert('That scenario no longer exists');
+        renderScenarioList();
+        return;
+    }
+
+    applyTabInputs(scenario.tab, scenario.inputs, scenario.extras);
+
+    const tabButton = document.querySelector(`[data-tab="${scenario.tab}"]`);
+    if (tabButton) {
+        tabButton.click();
+    }
+
+    rerunTabCalculation(scenario.tab, scenario.inputs);
+    window.scrollTo(0, 0);
+}
+
+function renameScenario(id) {
+    const library = loadScenarioLibrary();
+    const scenario = findScenario(library, id);
+    if (!scenario) {
+        return;
+    }
+
+    const name = prompt('Rename scenario', scenario.name);
+    if (name === null || !name.trim()) {
+        return;
+    }
+
+    scenario.name = name.trim();
+    scenario.updatedAt = new Date().toISOString();
+    if (saveScenarioLibrary(library)) {
+        renderScenarioList();
+    }
+}
+
+function duplicateScenario(id) {
+    const library = loadScenarioLibrary();
+    const scenario = findScenario(library, id);
+    if (!scenario) {
+        return;
+    }
+
+    const now = new Date().toISOString();
+    const copy = JSON.parse(JSON.stringify(scenario));
+    copy.id = createScenarioId();
+    copy.name = scenario.name + ' (copy)';
+    copy.createdAt = now;
+    copy.updatedAt = now;
+
+    library.scenarios.splice(library.scenarios.indexOf(scenario) + 1, 0, copy);
+    if (saveScenarioLibrary(library)) {
+        renderScenarioList();
+    }
+}
+
+function deleteScenario(id) {
+    const library = loadScenarioLibrary();
+    const scenario = findScenario(library, id);
+    if (!scenario || !confirm(`Delete scenario "${scenario.name}"?`)) {
+        return;
+    }
+
+    library.scenarios = library.scenarios.filter((item) => item.id !== id);
+    if (saveScenarioLibrary(library)) {
+        renderScenarioList();
+    }
+}
+
+/**
+ * One-line description of a scenario's key inputs
+ */
+function describeScenario(scenario) {
+    const inputs = scenario.inputs;
+    const duration = (years, months) => {
+        const parts = [];
+        if (parseFloat(years) > 0) {
+            parts.push(years + 'Y');
+        }
+        if (parseFloat(months) > 0) {
+            parts.push(months + 'M');
+        }
+        return parts.join(' ') || '-';
+    };
+    const amount = (value) => (parseFloat(value) > 0 ? formatCurrency(parseFloat(value)) : '-');
+
+    if (scenario.tab === 'tab1') {
+        return `${amount(inputs.principal1)} @ ${inputs.interest1 || '-'}% for ${duration(inputs.years1, inputs.months1)}`;
+    }
+    if (scenario.tab === 'tab2') {
+        return `${amount(inputs.currentPrincipal)} @ ${inputs.currentInterest || '-'}%, EMI ${amount(inputs.currentEmi)}`;
+    }
+    if (scenario.tab === 'tab7') {
+        const coIncome = parseFloat(inputs.eligCoIncome) > 0 ? ' + ' + amount(inputs.eligCoIncome) : '';
+        return `${amount(inputs.eligIncome)}${coIncome}/month @ ${inputs.eligRate || '-'}%, age ${inputs.eligAge || '-'}`;
+    }
+    if (scenario.tab === 'tab6') {
+        const loans = (scenario.extras && scenario.extras.loans) || [];
+        return `${loans.length} loan(s), ${amount(inputs.portfolioSurplus)} surplus/month`;
+    }
+    const goals = (scenario.extras && scenario.extras.goals) || [];
+    const goalCount = goals.length > 0 ? `, ${goals.length} goal(s)` : '';
+    return `${amount(inputs.sipAmount)}/month @ ${inputs.sipRate || '-'}% for ${duration(inputs.sipYears, inputs.sipMonths)}${goalCount}`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderScenarioList() {
+    const library = loadScenarioLibrary();
+    const container = document.getElementById('scenarioList');
+
+    if (library.scenarios.length === 0) {
+        container.innerHTML = `
+            <div class="placeholder-content">
+                <div class="placeholder-icon">💾</div>
+                <h3>No Saved Scenarios</h3>
+                <p>Use the "Save Scenario" button on any calculator tab to keep its inputs here</p>
+            </div>
+        `;
+        return;
+    }
+
+    const rows = library.scenarios.map((scenario) => `
+        <tr>
+            <td><strong>${escapeHtml(scenario.name)}</strong></td>
+            <td>${SCENARIO_TAB_NAMES[scenario.tab]}</td>
+            <td>${escapeHtml(describeScenario(scenario))}</td>
+            <td>${new Date(scenario.updatedAt).toLocaleDateString('en-IN')}</td>
+            <td class="scenario-actions">
+                <button class="btn-scenario" data-action="open" data-scenario-id="${escapeHtml(scenario.id)}">▶ Open</button>
+                <button class="btn-scenario" data-action="rename" data-scenario-id="${escapeHtml(scenario.id)}">✏️ Rename</button>
+                <button class="btn-scenario" data-action="duplicate" data-scenario-id="${escapeHtml(scenario.id)}">⧉ Duplicate</button>
+                <button class="btn-scenario btn-scenario-danger" data-action="delete" data-scenario-id="${escapeHtml(scenario.id)}">🗑 Delete</button>
+            </td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="table-responsive">
+            <table class="emi-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Calculator</th>
+                        <th>Inputs</th>
+                        <th>Saved</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+
+    // Ids are passed as data rather than written into inline handlers
+    const actions = {
+        open: openScenario,
+        rename: renameScenario,
+        duplicate: duplicateScenario,
+        delete: deleteScenario
+    };
+    container.querySelectorAll('[data-scenario-id]').forEach((button) => {
+        button.addEventListener('click', () => actions[button.dataset.action](button.dataset.scenarioId));
+    });
+}
+
+/**
+ * Download the whole scenario library as JSON
+ */
+function exportScenarioLibrary() {
+    const library = loadScenarioLibrary();
+    if (library.scenarios.length === 0) {
+        alert('There are no saved scenarios to export');
+        return;
+    }
+
+    const payload = Object.assign({ exportedAt: new Date().toISOString() }, library);
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `loan-scenarios-${new Date().toISOString().slice(0, 10)}.json`);
+}
+
+/**
+ * Merge scenarios from an exported JSON file. Scenarios with the same id
+ * are replaced by the imported copy; everything else is added.
+ */
+function importScenarioLibrary(input) {
+    const file = input.files[0];
+    if (!file) {
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = function () {
+        let imported = null;
+        try {
+            imported = migrateScenarioLibrary(JSON.parse(reader.result));
+        } catch (error) {
+            imported = null;
+        }
+
+        if (!imported) {
+            alert('This file is not a valid scenario library export');
+            return;
+        }
+
+        const library = loadScenarioLibrary();
+        imported.scenarios.forEach((scenario) => {
+            const index = library.scenarios.findIndex((existing) => existing.id === scenario.id);
+            if (index >= 0) {
+                library.scenarios[index] = scenario;
+            } else {
+                library.scenarios.push(scenario);
+            }
+        });
+
+        if (saveScenarioLibrary(library)) {
+            renderScenarioList();
+            alert(`Imported ${imported.scenarios.length} scenario(s)`);
+        }
+    };
+    reader.readAsText(file);
+
+    // Allow importing the same file again
+    input.value = '';
 }
 
 // ============================================
-// TAB 4: SIP CALCULATOR
+// SHAREABLE LINKS
 // ============================================
 
-/**
- * Calculate SIP (Systematic Investment Plan) returns
- * Formula: FV = P × (((1 + r)^n - 1) / r) × (1 + r)
- * Where P = Monthly Investment, r = Monthly Rate, n = Number of months
- */
-function calculateSIPReturns(monthlyAmount, annualRate, months) {
-    const monthlyRate = annualRate / 100 / 12;
-    
-    if (monthlyRate === 0) {
-        return monthlyAmount * months;
+// Short URL parameter names for each calculator's inputs
+const LINK_PARAMS = {
+    tab1: {
+        p: 'principal1',
+        r: 'interest1',
+        y: 'years1',
+        m: 'months1',
+        sf: 'solveFor1',
+        e: 'emi1',
+        im: 'interestMethod1',
+        dd: 'disbursementDate1',
+        dn: 'emiDueDay1',
+        pf: 'processingFee1',
+        sd: 'stampDuty1',
+        ip: 'insurancePremium1',
+        ipf: 'insurancePaid1',
+        ac: 'annualCharges1'
+    },
+    tab2: {
+        cp: 'currentPrincipal',
+        cr: 'currentInterest',
+        ce: 'currentEmi',
+        cim: 'interestMethod2',
+        cdd: 'disbursementDate2',
+        cdn: 'emiDueDay2',
+        ap: 'additionalPayment',
+        sut: 'stepUpType',
+        suv: 'stepUpValue',
+        suc: 'stepUpCap',
+        sus: 'stepUpStartMonth',
+        pvs: 'pviSurplus',
+        pvr: 'pviReturn',
+        pvg: 'pviGainsTax',
+        pvt: 'pviInterestTax',
+        pvc: 'pviInterestCap',
+        rfr: 'refiRate',
+        rff: 'refiFee',
+        rfc: 'refiCharges',
+        rft: 'refiTopUp'
+    },
+    tab4: {
+        sa: 'sipAmount',
+        sr: 'sipRate',
+        sy: 'sipYears',
+        sm: 'sipMonths',
+        ec: 'existingSipAmount',
+        sst: 'sipStepUpType',
+        ssv: 'sipStepUpValue',
+        si: 'sipInflation',
+        mv: 'mcVolatility',
+        mt: 'mcTarget',
+        mn: 'mcSimulations',
+        ms: 'mcSeed',
+        mh: 'mcHistory'
+    },
+    tab6: { ps: 'portfolioSurplus', pr: 'portfolioRollEmis' },
+    tab7: {
+        ei: 'eligIncome',
+        eci: 'eligCoIncome',
+        ee: 'eligExistingEmi',
+        ef: 'eligFoir',
+        er: 'eligRate',
+        et: 'eligMaxTenure',
+        ea: 'eligAge',
+        era: 'eligRetirementAge',
+        epv: 'eligPropertyValue',
+        el: 'eligLtv'
     }
-    
-    const futureValue = monthlyAmount * 
-        (((Math.pow(1 + monthlyRate, months) - 1) / monthlyRate) * (1 + monthlyRate));
-    
-    return futureValue;
+};
+
+// Editor lists carried in links: URL parameter, collectTabExtras key and codec
+const LINK_LISTS = {
+    tab1: [{ param: 'rr1', extra: 'rateRevisions', encode: encodeRateRevisions, decode: decodeRateRevisions }],
+    tab2: [
+        { param: 'rr2', extra: 'rateRevisions', encode: encodeRateRevisions, decode: decodeRateRevisions },
+        { param: 'pp', extra: 'prepayments', encode: encodePrepayments, decode: decodePrepayments }
+    ],
+    tab4: [
+        { param: 'ls', extra: 'lumpSums', encode: encodeLumpSums, decode: decodeLumpSums },
+        { param: 'gl', extra: 'goals', encode: encodeSipGoals, decode: decodeSipGoals }
+    ],
+    tab6: [{ param: 'pl', extra: 'loans', encode: encodePortfolioLoans, decode: decodePortfolioLoans }]
+};
+
+// URL parameters behind the last calculation in each tab
+window.linkSnapshots = {};
+
+// True while a link is being replayed, so the replay doesn't add history entries
+let isApplyingDeepLink = false;
+
+function getDefaultFieldValue(field) {
+    if (field.tagName === 'SELECT') {
+        const option = Array.from(field.options).find((item) => item.defaultSelected) || field.options[0];
+        return option ? option.value : '';
+    }
+    return field.defaultValue;
 }
 
-/**
- * Calculate Tab 4: SIP Calculator
- */
-function calculateTab4() {
-    const sipAmount = parseFloat(document.getElementById('sipAmount').value);
-    const sipRate = parseFloat(document.getElementById('sipRate').value);
-    const sipYears = parseFloat(document.getElementById('sipYears').value) || 0;
-    const sipMonths = parseFloat(document.getElementById('sipMonths').value) || 0;
+// Rate revisions as "2026-04:8.75:keep-emi", comma separated
+function encodeRateRevisions(revisions) {
+    return revisions
+        .filter(isCompleteRateRevision)
+        .map((revision) => [revision.from, revision.rate, revision.mode].join(':'))
+        .join(',');
+}
 
-    // Validation
-    if (isNaN(sipAmount) || isNaN(sipRate)) {
-        alert('Please fill in monthly SIP amount and expected return rate');
-        return;
-    }
+function decodeRateRevisions(value) {
+    return value.split(',')
+        .map((item) => {
+            const parts = item.split(':');
+            return {
+                from: parts[0],
+                rate: parseFloat(parts[1]),
+                mode: parts[2] === 'keep-tenure' ? 'keep-tenure' : 'keep-emi'
+            };
+        })
+        .filter((revision) => /^\d{4}-\d{2}$/.test(revision.from) && isCompleteRateRevision(revision));
+}
 
-    if (sipAmount <= 0 || sipRate < 0) {
-        alert('Please enter valid values for SIP amount and return rate');
-        return;
-    }
+// Prepayments as "type:amount:month:calendarMonth:mode", comma separated
+function encodePrepayments(entries) {
+    return entries
+        .filter((entry) => entry.amount > 0)
+        .map((entry) => [entry.type, entry.amount, entry.month, entry.calendarMonth, entry.mode].join(':'))
+        .join(',');
+}
 
-    const totalYears = sipYears + (sipMonths / 12);
-    if (totalYears <= 0) {
-        alert('Please enter investment duration (years and/or months)');
-        return;
-    }
+function decodePrepayments(value) {
+    return value.split(',')
+        .map((item) => {
+            const parts = item.split(':');
+            return {
+                type: ['once', 'yearly', 'monthly'].includes(parts[0]) ? parts[0] : 'once',
+                amount: parseFloat(parts[1]) || 0,
+                month: parseInt(parts[2]) || 1,
+                calendarMonth: Math.min(Math.max(parseInt(parts[3]) || 0, 0), 11),
+                mode: parts[4] === 'emi' ? 'emi' : 'tenure'
+            };
+        })
+        .filter((entry) => entry.amount > 0);
+}
 
-    const totalMonths = Math.round(totalYears * 12);
-    const maturityValue = calculateSIPReturns(sipAmount, sipRate, totalMonths);
-    const totalInvested = sipAmount * totalMonths;
-    const expectedReturns = maturityValue - totalInvested;
+// SIP lump sums as "month:amount", comma separated
+function encodeLumpSums(entries) {
+    return entries
+        .filter((entry) => entry.amount > 0)
+        .map((entry) => [entry.month, entry.amount].join(':'))
+        .join(',');
+}
 
-    // Display summary
-    document.getElementById('sipDisplayAmount').textContent = formatCurrency(sipAmount);
-    document.getElementById('totalInvested').textContent = formatCurrency(totalInvested);
-    document.getElementById('expectedReturns').textContent = formatCurrency(expectedReturns);
-    document.getElementById('maturityValue').textContent = formatCurrency(maturityValue);
+function decodeLumpSums(value) {
+    return value.split(',')
+        .map((item) => {
+            const parts = item.split(':');
+            return {
+                month: parseInt(parts[0]) || 1,
+                amount: parseFloat(parts[1]) || 0
+            };
+        })
+        .filter((entry) => entry.amount > 0);
+}
 
-    // Generate comparison table for different durations
-    const durations = [5, 10, 15, 20, 25];
-    if (!durations.includes(totalYears)) {
-        durations.push(totalYears);
-    }
-    durations.sort((a, b) => a - b);
+// SIP goals as "name:target:years:return:inflation:existing:stepUpType:stepUpValue", with the name URI-encoded
+function encodeSipGoals(goals) {
+    return goals
+        .map((goal) => [
+            encodeURIComponent(goal.name), goal.targetAmount, goal.years, goal.annualRate, goal.inflationRate,
+            goal.existingCorpus, goal.stepUp ? goal.stepUp.type : '', goal.stepUp ? goal.stepUp.value : 0
+        ].join(':'))
+        .join(',');
+}
 
-    let tableHTML = '';
-    let bestOption = null;
-    let maxReturns = -Infinity;
+function decodeSipGoals(value) {
+    return value.split(',')
+        .map((item, index) => {
+            const parts = item.split(':');
+            let name = 'Goal ' + (index + 1);
+            try {
+                name = decodeURIComponent(parts[0]) || name;
+            } catch (error) {
+                // Keep the default name for malformed input
+            }
+            const stepUpValue = parseFloat(parts[7]) || 0;
+            return {
+                name: name,
+                targetAmount: parseFloat(parts[1]) || 0,
+                years: parseFloat(parts[2]) || 0,
+                annualRate: parseFloat(parts[3]) || 0,
+                inflationRate: parseFloat(parts[4]) || 0,
+                existingCorpus: parseFloat(parts[5]) || 0,
+                stepUp: stepUpValue > 0 ? { type: parts[6] === 'amount' ? 'amount' : 'percent', value: stepUpValue } : null
+            };
+        })
+        .filter((goal) => goal.targetAmount > 0 && goal.years > 0);
+}
 
-    durations.forEach((duration) => {
-        if (duration <= totalYears) {
-            const durationMonths = Math.round(duration * 12);
-            const durationMaturity = calculateSIPReturns(sipAmount, sipRate, durationMonths);
-            const durationInvested = sipAmount * durationMonths;
-            const durationReturns = durationMaturity - durationInvested;
-            const returnPercentage = ((durationReturns / durationInvested) * 100).toFixed(2);
+// Portfolio loans as "name:principal:rate:emi:priority", with the name URI-encoded
+function encodePortfolioLoans(loans) {
+    return loans
+        .filter((loan) => loan.principal > 0)
+        .map((loan) => [encodeURIComponent(loan.name), loan.principal, loan.rate, loan.emi, loan.priority].join(':'))
+        .join(',');
+}
 
-            const isBest = durationReturns > maxReturns;
-            if (isBest) {
-                maxReturns = durationReturns;
-                bestOption = {
-                    duration: duration,
-                    invested: durationInvested,
-                    returns: durationReturns,
-                    maturity: durationMaturity,
-                    returnPercent: returnPercentage
-                };
+function decodePortfolioLoans(value) {
+    return value.split(',')
+        .map((item, index) => {
+            const parts = item.split(':');
+            let name = 'Loan ' + (index + 1);
+            try {
+                name = decodeURIComponent(parts[0]) || name;
+            } catch (error) {
+                // Keep the default name for malformed input
             }
+            return {
+                name: name,
+                principal: parseFloat(parts[1]) || 0,
+                rate: parseFloat(parts[2]) || 0,
+                emi: parseFloat(parts[3]) || 0,
+                priority: parseInt(parts[4]) || index + 1
+            };
+        })
+        .filter((loan) => loan.principal > 0);
+}
 
-            const rowClass = isBest ? 'best-row' : '';
-            const badge = isBest ? '<span class="badge">✓ Best</span>' : '';
-
-            const durationDisplay = Math.floor(duration) === duration ? 
-                `${Math.floor(duration)} years` : 
-                `${Math.floor(duration)}Y ${Math.round((duration - Math.floor(duration)) * 12)}M`;
+/**
+ * Remember the inputs behind a finished calculation and put them in the URL
+ */
+function recordCalculation(tabId) {
+    const fields = LINK_PARAMS[tabId];
+    const params = {};
+
+    // Values left at their defaults are omitted to keep links short
+    Object.keys(fields).forEach((key) => {
+        const field = document.getElementById(fields[key]);
+        if (field.value !== '' && field.value !== getDefaultFieldValue(field)) {
+            params[key] = field.value;
+        }
+    });
 
-            tableHTML += `
-                <tr class="${rowClass}">
-                    <td>${durationDisplay}</td>
-                    <td>${formatCurrency(durationInvested)}</td>
-                    <td>${formatCurrency(durationReturns)}</td>
-                    <td>${formatCurrency(durationMaturity)}</td>
-                    <td>${returnPercentage}%</td>
-                </tr>
-            `;
+    const extras = collectTabExtras(tabId);
+    (LINK_LISTS[tabId] || []).forEach((list) => {
+        const encoded = list.encode(extras[list.extra]);
+        if (encoded) {
+            params[list.param] = encoded;
         }
     });
 
-    document.getElementById('sipTableBody').innerHTML = tableHTML;
+    window.linkSnapshots[tabId] = params;
 
-    // Display best option
-    if (bestOption) {
-        const bestYears = Math.floor(bestOption.duration);
-        const bestMonths = Math.round((bestOption.duration - bestYears) * 12);
-        const bestDurationDisplay = bestMonths > 0 ? 
-            `${bestYears} years ${bestMonths} months` : 
-            `${bestYears} years`;
+    // The open report was built from the previous inputs of this tab
+    const report = window.currentReportData;
+    if (report && report.source && getReportSourceTab(report.source) === tabId) {
+        report.source = null;
+    }
 
-        const bestOptionHTML = `
-            <p>
-                <strong>Recommended Duration:</strong> 
-                <span class="highlight">${bestDurationDisplay}</span>
-            </p>
-            <p>
-                <strong>Total Investment:</strong> 
-                <span class="highlight">${formatCurrency(bestOption.invested)}</span>
-            </p>
-            <p>
-                <strong>Expected Returns:</strong> 
-                <span class="highlight">${formatCurrency(bestOption.returns)}</span>
-            </p>
-            <p class="savings">
-                💰 Your investment grows by ${bestOption.returnPercent}% reaching ${formatCurrency(bestOption.maturity)}
-            </p>
-        `;
-        document.getElementById('bestOptionTab4').innerHTML = bestOptionHTML;
+    updateDeepLink();
+}
+
+function getReportSourceTab(source) {
+    if (source === 'emi' || source.startsWith('duration-')) {
+        return 'tab1';
     }
+    return source.startsWith('portfolio-') ? 'tab6' : 'tab2';
+}
 
-    // Store data for later use
-    window.tab4Data = {
-        sipAmount: sipAmount,
-        sipRate: sipRate,
-        totalMonths: totalMonths,
-        maturityValue: maturityValue,
-        totalInvested: totalInvested
-    };
+function buildDeepLink() {
+    const activeButton = document.querySelector('.tab-btn.active');
+    const params = [['tab', activeButton ? activeButton.getAttribute('data-tab') : 'tab1']];
 
-    // Show results
-    document.getElementById('tab4Results').style.display = 'block';
-    window.sipChartInstance = null; // Reset chart instance
+    Object.keys(LINK_PARAMS).forEach((tabId) => {
+        const snapshot = window.linkSnapshots[tabId] || {};
+        Object.keys(snapshot).forEach((key) => params.push([key, snapshot[key]]));
+    });
+
+    if (window.currentReportData && window.currentReportData.source) {
+        params.push(['report', window.currentReportData.source]);
+    }
+
+    // ':' and ',' are valid in a URL fragment; leaving them readable keeps lists legible
+    return '#' + params
+        .map(([key, value]) => key + '=' + encodeURIComponent(value).replace(/%3A/g, ':').replace(/%2C/g, ','))
+        .join('&');
 }
 
 /**
- * Calculate with existing amount
+ * Push the current calculation onto the browser history
  */
-function calculateWithExistingAmount() {
-    const existingAmount = parseFloat(document.getElementById('existingSipAmount').value);
-    
-    if (!window.tab4Data) {
-        alert('Please calculate SIP first');
+function updateDeepLink() {
+    if (isApplyingDeepLink) {
         return;
     }
 
-    if (isNaN(existingAmount) || existingAmount < 0) {
-        alert('Please enter valid existing amount');
+    const hash = buildDeepLink();
+    if (hash === window.location.hash) {
         return;
     }
 
-    const data = window.tab4Data;
-    const monthlyRate = data.sipRate / 100 / 12;
-    const months = data.totalMonths;
+    try {
+        history.pushState(null, '', hash);
+    } catch (error) {
+        console.error('Could not update the page link', error);
+    }
+}
 
-    // Calculate returns on existing amount
-    const existingMaturity = existingAmount * Math.pow(1 + monthlyRate, months);
-    const existingReturns = existingMaturity - existingAmount;
+function openLinkedReport(source) {
+    if (source === 'emi') {
+        generateAmortizationReport();
+    } else if (/^duration-\d+$/.test(source)) {
+        if (window.tab1Data) {
+            const data = window.tab1Data;
+            generateAmortizationReportForDuration(data.principal, data.annualRate, parseInt(source.slice(9)) / 12);
+        }
+    } else if (source === 'current' || source === 'additional') {
+        generateRemainingLoanReport(source);
+    } else if (source === 'prepayment') {
+        generatePrepaymentReport();
+    } else if (source === 'stepup') {
+        generateStepUpReport();
+    } else if (source === 'refinance-same-emi' || source === 'refinance-same-tenure') {
+        generateRefinanceReport(source.slice(10));
+    } else if (source.startsWith('portfolio-')) {
+        generatePortfolioReport(source.slice(10));
+    }
+}
 
-    // Without existing amount
-    const withoutInvested = data.totalInvested;
-    const withoutReturns = data.maturityValue - data.totalInvested;
-    const withoutMaturity = data.maturityValue;
+/**
+ * Fill the calculators from a link, re-run them and open the linked tab and report
+ */
+function applyDeepLink(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
 
-    // With existing amount
-    const withInvested = data.totalInvested + existingAmount;
-    const withReturns = withoutReturns + existingReturns;
-    const withMaturity = data.maturityValue + existingMaturity;
+    isApplyingDeepLink = true;
+    window.linkSnapshots = {};
 
-    // Display results
-    document.getElementById('withoutExistingInvested').textContent = formatCurrency(withoutInvested);
-    document.getElementById('withoutExistingReturns').textContent = formatCurrency(withoutReturns);
-    document.getElementById('withoutExistingMaturity').textContent = formatCurrency(withoutMaturity);
+    try {
+        Object.keys(LINK_PARAMS).forEach((tabId) => {
+            const fields = LINK_PARAMS[tabId];
+            const keys = Object.keys(fields);
+            const lists = LINK_LISTS[tabId] || [];
 
-    document.getElementById('withExistingInvested').textContent = formatCurrency(withInvested);
-    document.getElementById('withExistingReturns').textContent = formatCurrency(withReturns);
-    document.getElementById('withExistingMaturity').textContent = formatCurrency(withMaturity);
+            if (!keys.some((key) => params.has(key)) && !lists.some((list) => params.has(list.param))) {
+                return;
+            }
 
-    // Recommendation
-    const additionalBenefit = withMaturity - withoutMaturity;
-    const bestOptionHTML = `
-        <p>
-            <strong>Adding Existing Amount:</strong> 
-            <span class="highlight">${formatCurrency(existingAmount)}</span>
-        </p>
-        <p>
-            <strong>Additional Returns Generated:</strong> 
-            <span class="highlight">${formatCurrency(additionalBenefit)}</span>
-        </p>
-        <p class="savings">
-            🎯 Your total maturity value increases to ${formatCurrency(withMaturity)} 
-            with ${formatCurrency(withReturns)} in expected returns
-        </p>
-    `;
-    document.getElementById('bestOptionTab4').innerHTML = bestOptionHTML;
+            const inputs = {};
+            keys.forEach((key) => {
+                inputs[fields[key]] = params.has(key) ?
+                    params.get(key) :
+                    getDefaultFieldValue(document.getElementById(fields[key]));
+            });
 
-    document.getElementById('existingResults').style.display = 'block';
-}
+            const extras = {};
+            lists.forEach((list) => {
+                extras[list.extra] = list.decode(params.get(list.param) || '');
+            });
 
-// ============================================
-// NAVIGATION AND DATA TRANSFER
-// ============================================
+            applyTabInputs(tabId, inputs, extras);
+            rerunTabCalculation(tabId, inputs);
+        });
 
-/**
- * Store current report data and navigate to Remaining Loan tab with pre-filled data
- */
-function navigateToRemainingLoanWithData() {
-    // Get the current EMI calculator data
-    const principal = window.tab1Data?.principal;
-    const rate = window.tab1Data?.annualRate;
-    const emi = window.tab1Data?.emi;
-    
-    // Validate data exists
-    if (!principal || !rate || !emi) {
-        alert('Please calculate EMI first in the EMI Calculator tab');
-        return;
-    }
-    
-    // Pre-fill the Remaining Loan Calculator form
-    document.getElementById('currentPrincipal').value = principal;
-    document.getElementById('currentInterest').value = rate;
-    document.getElementById('currentEmi').value = Math.round(emi);
-    
-    // Clear the additional payment field
-    document.getElementById('additionalPayment').value = '';
-    document.getElementById('additionalResults').style.display = 'none';
-    document.getElementById('tab2Results').style.display = 'block';
-    
-    // Calculate and display the remaining loan info
-    calculateRemainingLoanBasic();
-    
-    // Switch to tab2
-    const tab2Button = document.querySelector('[data-tab="tab2"]');
-    if (tab2Button) {
-        tab2Button.click();
+        if (params.get('report')) {
+            openLinkedReport(params.get('report'));
+        }
+
+        const tabButton = document.querySelector(`.tab-btn[data-tab="${params.get('tab') || 'tab1'}"]`);
+        if (tabButton) {
+            tabButton.click();
+        }
+    } finally {
+        isApplyingDeepLink = false;
     }
-    
-    // Scroll to top
-    window.scrollTo(0, 0);
-}
 
-/**
- * Calculate basic remaining loan info without additional payment
- */
-function calculateRemainingLoanBasic() {
-    const principal = parseFloat(document.getElementById('currentPrincipal').value);
-    const interestRate = parseFloat(document.getElementById('currentInterest').value);
-    const currentEmi = parseFloat(document.getElementById('currentEmi').value);
-    
-    if (!principal || !interestRate || !currentEmi) {
-        return;
+    // Normalise the link without adding a history entry
+    try {
+        history.replaceState(null, '', buildDeepLink());
+    } catch (error) {
+        console.error('Could not update the page link', error);
     }
-    
-    const monthlyRate = interestRate / 100 / 12;
-    const monthsToClose = calculateMonthsToClose(principal, monthlyRate, currentEmi);
-    const years = (monthsToClose / 12).toFixed(1);
-    
-    document.getElementById('currentEmiDisplay').textContent = formatCurrency(currentEmi);
-    document.getElementById('yearsToComplete').textContent = years;
 }
 
-/**
- * Download amortization table as Excel file
- */
 // ============================================
 // TAB SWITCHING
 // ============================================
@@ -964,10 +5343,28 @@ document.querySelectorAll('.tab-btn').forEach(button => {
 
         // Add active class to corresponding content
         document.getElementById(tabId).classList.add('active');
+
+        updateDeepLink();
     });
 });
 
 // Initialize
 document.addEventListener('DOMContentLoaded', function () {
+    applyDisplaySettings();
+    renderPrepaymentEntries();
+    renderRateRevisions('tab1');
+    renderRateRevisions('tab2');
+    renderPortfolioLoans();
+    renderSipLumpSums();
+    renderTaxBorrowers();
+    renderScenarioList();
+
+    if (window.location.hash.length > 1) {
+        applyDeepLink(window.location.hash);
+    }
+    window.addEventListener('popstate', function () {
+        applyDeepLink(window.location.hash);
+    });
+
     console.log('Loan Calculator App Loaded');
 });
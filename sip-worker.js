@@ -0,0 +1,19 @@
+/**
+ * Web Worker that runs Monte Carlo SIP simulations (simulateSIPReturns in
+ * loan-engine.js) off the page's main thread.
+ *
+ * Message in:  { id, monthlyAmount, months, options }
+ * Message out: { id, result } or { id, error }
+ */
+/* global importScripts, LoanEngine */
+importScripts('loan-engine.js');
+
+self.onmessage = function (event) {
+    const request = event.data;
+    try {
+        const result = LoanEngine.simulateSIPReturns(request.monthlyAmount, request.months, request.options);
+        self.postMessage({ id: request.id, result: result });
+    } catch (error) {
+        self.postMessage({ id: request.id, error: error.message });
+    }
+};
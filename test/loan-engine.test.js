@@ -0,0 +1,860 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const LoanEngine = require('../loan-engine.js');
+
+const {
+    MAX_SCHEDULE_MONTHS,
+    calculateEMI,
+    roundEmi,
+    calculateMonthsToClose,
+    calculateRemainingLoan,
+    solvePrincipal,
+    solveTenure,
+    solveInterestRate,
+    RBI_LTV_SLABS,
+    getMaxLtvLoan,
+    calculateLoanEligibility,
+    calculateLoanInterest,
+    calculateXIRR,
+    calculateBorrowingCost,
+    buildAmortizationSchedule,
+    summarizeSchedule,
+    addRepaymentProgress,
+    groupScheduleByYear,
+    compareInterestMethods,
+    simulatePortfolio,
+    calculateSIPReturns,
+    calculateLumpSumReturns,
+    buildSIPSchedule,
+    solveSIPForGoal,
+    simulateSIPReturns,
+    comparePrepayVsInvest,
+    compareRefinance,
+    getFinancialYear,
+    calculateTaxBenefits,
+    getDueDate,
+    getLoanCalendar,
+    countEmisPaid,
+    getNextDueDate
+} = LoanEngine;
+
+const JAN_2025 = new Date(2025, 0, 1);
+
+function assertClose(actual, expected, tolerance = 0.01) {
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance,
+        `expected ${actual} to be within ${tolerance} of ${expected}`
+    );
+}
+
+test('calculateEMI matches known EMI values', () => {
+    assertClose(calculateEMI(100000, 12, 1), 8884.88);
+    assertClose(calculateEMI(1000000, 10, 10), 13215.07);
+    assertClose(calculateEMI(5000000, 7.5, 20), 40279.66);
+});
+
+test('calculateEMI returns 0 for invalid input', () => {
+    assert.strictEqual(calculateEMI(0, 8, 10), 0);
+    assert.strictEqual(calculateEMI(100000, -1, 10), 0);
+    assert.strictEqual(calculateEMI(100000, 8, 0), 0);
+});
+
+test('zero interest rate splits the principal evenly', () => {
+    assert.strictEqual(calculateEMI(120000, 0, 1), 10000);
+    assert.strictEqual(calculateMonthsToClose(120000, 0, 10000), 12);
+
+    const schedule = buildAmortizationSchedule(120000, 10000, 0, 12, { startDate: JAN_2025 });
+    assert.strictEqual(schedule.length, 12);
+    assert.ok(schedule.every((row) => row.interest === 0));
+    assert.strictEqual(schedule[11].balance, 0);
+});
+
+test('fractional tenure produces a whole number of months that closes the loan', () => {
+    const years = 1 + 6 / 12;
+    const emi = calculateEMI(300000, 9, years);
+    const schedule = buildAmortizationSchedule(300000, emi, 9 / 100 / 12, years * 12, { startDate: JAN_2025 });
+
+    assert.strictEqual(schedule.length, 18);
+    assert.strictEqual(schedule[17].balance, 0);
+    assertClose(schedule.reduce((sum, row) => sum + row.principal, 0), 300000);
+});
+
+test('schedule rows carry the structured fields', () => {
+    const emi = calculateEMI(100000, 12, 1);
+    const schedule = buildAmortizationSchedule(100000, emi, 0.01, 12, { startDate: JAN_2025 });
+    const first = schedule[0];
+
+    assert.strictEqual(first.month, 1);
+    assert.strictEqual(first.monthYear, 'Jan 2025');
+    assertClose(first.emi, 8884.88);
+    assertClose(first.interest, 1000);
+    assertClose(first.principal, 7884.88);
+    assertClose(first.balance, 92115.12);
+    assertClose(first.cumulativeInterest, 1000);
+
+    const summary = summarizeSchedule(schedule);
+    assert.strictEqual(summary.months, 12);
+    assertClose(summary.totalInterest, 6618.55);
+    assert.strictEqual(summary.closingMonthYear, 'Dec 2025');
+});
+
+test('EMI below the monthly interest never closes the loan', () => {
+    assert.strictEqual(calculateMonthsToClose(100000, 0.01, 1000), Infinity);
+    assert.strictEqual(calculateMonthsToClose(100000, 0.01, 900), Infinity);
+});
+
+test('months to close and schedules are capped at 600 months', () => {
+    assert.strictEqual(LoanEngine.MAX_SCHEDULE_MONTHS, 600);
+    assert.strictEqual(calculateMonthsToClose(100000, 0.01, 1000.5), 600);
+
+    const schedule = buildAmortizationSchedule(100000, 1000.5, 0.01, 0, { startDate: JAN_2025 });
+    assert.strictEqual(schedule.length, 600);
+    // Whatever is still outstanding is settled in the final month
+    assert.strictEqual(schedule[599].balance, 0);
+    assertClose(schedule[599].principal, schedule[598].balance);
+});
+
+test('calculateRemainingLoan follows the schedule balance', () => {
+    const emi = calculateEMI(100000, 12, 1);
+    const schedule = buildAmortizationSchedule(100000, emi, 0.01, 12, { startDate: JAN_2025 });
+
+    assertClose(calculateRemainingLoan(100000, 0.01, emi, 6), schedule[5].balance);
+    assertClose(calculateRemainingLoan(100000, 0.01, emi, 12), 0);
+});
+
+test('schedules stop at the 50 year cap and settle what is left', () => {
+    const emi = calculateEMI(1000000, 9, 60);
+    const schedule = buildAmortizationSchedule(1000000, emi, 9 / 100 / 12, 720, { startDate: JAN_2025 });
+
+    assert.strictEqual(schedule.length, MAX_SCHEDULE_MONTHS);
+    assert.strictEqual(schedule[schedule.length - 1].balance, 0);
+});
+
+test('one-time prepayment with tenure reduction shortens the loan', () => {
+    const emi = calculateEMI(1000000, 9, 10);
+    const monthlyRate = 9 / 100 / 12;
+    const base = summarizeSchedule(buildAmortizationSchedule(1000000, emi, monthlyRate, 120, { startDate: JAN_2025 }));
+    const prepaid = summarizeSchedule(buildAmortizationSchedule(1000000, emi, monthlyRate, 120, {
+        startDate: JAN_2025,
+        prepayments: [{ type: 'once', amount: 200000, month: 24, mode: 'tenure' }]
+    }));
+
+    assert.ok(prepaid.months < base.months);
+    assert.ok(prepaid.totalInterest < base.totalInterest);
+    assert.strictEqual(prepaid.totalPrepaid, 200000);
+    assertClose(prepaid.finalEmi, emi);
+});
+
+test('prepayment with EMI reduction keeps the tenure', () => {
+    const emi = calculateEMI(1000000, 9, 10);
+    const schedule = buildAmortizationSchedule(1000000, emi, 9 / 100 / 12, 120, {
+        startDate: JAN_2025,
+        prepayments: [{ type: 'once', amount: 200000, month: 24, mode: 'emi' }]
+    });
+
+    assert.strictEqual(schedule.length, 120);
+    assert.strictEqual(schedule[23].emiRevised, true);
+    assert.ok(schedule[119].emi < emi);
+});
+
+test('prepayments in the same month keep their own modes', () => {
+    const emi = calculateEMI(1000000, 9, 10);
+    const monthlyRate = 9 / 100 / 12;
+    const tenureOnly = buildAmortizationSchedule(1000000, emi, monthlyRate, 120, {
+        startDate: JAN_2025,
+        prepayments: [{ type: 'once', amount: 200000, month: 24, mode: 'tenure' }]
+    });
+    const mixed = buildAmortizationSchedule(1000000, emi, monthlyRate, 120, {
+        startDate: JAN_2025,
+        prepayments: [
+            { type: 'once', amount: 200000, month: 24, mode: 'tenure' },
+            { type: 'once', amount: 100000, month: 24, mode: 'emi' }
+        ]
+    });
+
+    assert.strictEqual(mixed[23].prepayment, 300000);
+    assert.strictEqual(mixed[23].emiRevised, true);
+    // The 'emi' amount lowers the EMI over the tenure the 'tenure' amount left
+    assert.strictEqual(mixed.length, tenureOnly.length);
+    assert.ok(mixed[30].emi < emi);
+    assertClose(mixed[30].emi, calculateEMI(mixed[23].balance, 9, (tenureOnly.length - 24) / 12), 1);
+});
+
+test('yearly prepayments land in the chosen calendar month', () => {
+    const emi = calculateEMI(1000000, 9, 10);
+    const schedule = buildAmortizationSchedule(1000000, emi, 9 / 100 / 12, 120, {
+        startDate: JAN_2025,
+        prepayments: [{ type: 'yearly', amount: 50000, month: 1, calendarMonth: 2, mode: 'tenure' }]
+    });
+    const prepaidRows = schedule.filter((row) => row.prepayment > 0);
+
+    assert.ok(prepaidRows.length > 1);
+    assert.ok(prepaidRows.every((row) => row.monthYear.startsWith('Mar')));
+});
+
+test('rate revision that keeps the tenure resets the EMI', () => {
+    const emi = calculateEMI(1000000, 8, 10);
+    const schedule = buildAmortizationSchedule(1000000, emi, 8 / 100 / 12, 120, {
+        startDate: JAN_2025,
+        rateChanges: [{ from: '2026-01', rate: 9, mode: 'keep-tenure' }]
+    });
+    const revised = schedule[12];
+
+    assert.strictEqual(schedule.length, 120);
+    assert.strictEqual(revised.rateRevised, true);
+    assert.strictEqual(revised.rate, 9);
+    assert.ok(revised.emi > emi);
+});
+
+test('rate revision that keeps the EMI extends the tenure', () => {
+    const emi = calculateEMI(1000000, 8, 10);
+    const schedule = buildAmortizationSchedule(1000000, emi, 8 / 100 / 12, 120, {
+        startDate: JAN_2025,
+        rateChanges: [{ from: '2026-01', rate: 9, mode: 'keep-emi' }]
+    });
+
+    assert.ok(schedule.length > 120);
+    assert.strictEqual(schedule[schedule.length - 1].balance, 0);
+    assertClose(schedule[60].emi, emi);
+});
+
+test('step-up EMI increases yearly up to the cap', () => {
+    const schedule = buildAmortizationSchedule(3000000, 30000, 8 / 100 / 12, 0, {
+        startDate: JAN_2025,
+        stepUp: { type: 'amount', value: 5000, cap: 40000, startMonth: 13 }
+    });
+    const stepped = schedule.filter((row) => row.emiStepped).map((row) => [row.month, row.emi]);
+
+    assert.deepStrictEqual(stepped, [[13, 35000], [25, 40000]]);
+    assert.strictEqual(schedule[100].emi, 40000);
+});
+
+test('roundEmi applies the lender rounding rule', () => {
+    assert.strictEqual(roundEmi(8678.2261, { emi: 'up', precision: 'paisa' }), 8679);
+    assert.strictEqual(roundEmi(8678.2261, { emi: 'down', precision: 'paisa' }), 8678);
+    assert.strictEqual(roundEmi(8678.5, { emi: 'nearest', precision: 'paisa' }), 8679);
+    assert.strictEqual(roundEmi(8678.2261, { emi: 'exact', precision: 'paisa' }), 8678.23);
+    assert.strictEqual(roundEmi(8678.2261, { emi: 'exact', precision: 'rupee' }), 8678);
+    assert.strictEqual(roundEmi(9000.000000001, { emi: 'up', precision: 'paisa' }), 9000);
+    assert.strictEqual(roundEmi(8678.2261), 8678.2261);
+});
+
+test('rounded schedules reconcile to the paisa with the summary', () => {
+    const emi = calculateEMI(1000000, 8.5, 20);
+    ['exact', 'up', 'down', 'nearest'].forEach((rule) => {
+        const rounding = { emi: rule, precision: 'paisa' };
+        const schedule = buildAmortizationSchedule(1000000, emi, 8.5 / 100 / 12, 240, { startDate: JAN_2025, rounding: rounding });
+        const paise = (amount) => Math.round(amount * 100);
+        const interest = schedule.reduce((sum, row) => sum + paise(row.interest), 0);
+        const principal = schedule.reduce((sum, row) => sum + paise(row.principal), 0);
+
+        assert.strictEqual(schedule.length, 240);
+        assert.strictEqual(principal, paise(1000000));
+        assert.strictEqual(interest, paise(summarizeSchedule(schedule).totalInterest));
+        assert.strictEqual(calculateLoanInterest(1000000, 8.5, 20, emi, [], { startDate: JAN_2025, rounding: rounding }),
+            summarizeSchedule(schedule).totalInterest);
+        schedule.forEach((row) => assert.strictEqual(row.interest, Math.round(row.interest * 100) / 100));
+    });
+});
+
+test('the final EMI settles what the rounded EMI leaves over', () => {
+    const emi = calculateEMI(1000000, 8.5, 20);
+    const build = (rule) => buildAmortizationSchedule(1000000, emi, 8.5 / 100 / 12, 240, {
+        startDate: JAN_2025,
+        rounding: { emi: rule, precision: 'rupee' }
+    });
+    const up = build('up');
+    const down = build('down');
+    const upLast = up[up.length - 1];
+    const downLast = down[down.length - 1];
+
+    assert.strictEqual(up[0].emi, 8679);
+    assert.strictEqual(down[0].emi, 8678);
+    assert.ok(upLast.finalAdjustment < 0);
+    assert.ok(downLast.finalAdjustment > 0);
+    assert.strictEqual(downLast.emi + downLast.finalAdjustment, downLast.interest + downLast.principal);
+    assert.ok(down.slice(0, -1).every((row) => row.finalAdjustment === 0 && row.interest === Math.round(row.interest)));
+});
+
+const PORTFOLIO = [
+    { name: 'Home', principal: 3000000, annualRate: 8.5, emi: 30000 },
+    { name: 'Top-up', principal: 500000, annualRate: 10, emi: 8000 },
+    { name: 'Car', principal: 300000, annualRate: 9, emi: 10000 }
+];
+
+test('reverse solvers invert calculateEMI', () => {
+    const emi = calculateEMI(5000000, 8.5, 20);
+
+    assertClose(solvePrincipal(emi, 8.5, 20), 5000000);
+    assertClose(solveInterestRate(5000000, emi, 20), 8.5, 0.0001);
+    assert.strictEqual(solveTenure(5000000, 8.5, emi), 240);
+    assertClose(solvePrincipal(12000, 0, 10), 1440000);
+    assertClose(solveInterestRate(1440000, 12000, 10), 0, 0.0001);
+
+    // Annual rest uses the yearly instalment
+    const annualEmi = calculateEMI(5000000, 8.5, 20, 'annual');
+    assertClose(solvePrincipal(annualEmi, 8.5, 20, 'annual'), 5000000);
+    assert.strictEqual(solveTenure(5000000, 8.5, annualEmi, 'annual'), 240);
+});
+
+test('solveTenure rounds partial months up and has no 600 month cap', () => {
+    assert.strictEqual(solveTenure(5000000, 8.5, 40000), calculateMonthsToClose(5000000, 8.5 / 100 / 12, 40000));
+    assert.ok(solveTenure(5000000, 8.5, 35500) > 600);
+});
+
+test('reverse solvers throw a RangeError when there is no solution', () => {
+    assert.throws(() => solveTenure(5000000, 8.5, 30000), RangeError);
+    assert.throws(() => solveInterestRate(5000000, 10000, 20), RangeError);
+    assert.throws(() => solveInterestRate(100000, 1000000, 1), RangeError);
+    assert.throws(() => solvePrincipal(0, 8.5, 20), RangeError);
+});
+
+test('LTV slabs cap the loan by property value', () => {
+    assert.strictEqual(getMaxLtvLoan(2000000, RBI_LTV_SLABS), 1800000);
+    // 90% of ₹35L is above the ₹30L slab and 80% is below it
+    assert.strictEqual(getMaxLtvLoan(3500000, RBI_LTV_SLABS), 3000000);
+    assert.strictEqual(getMaxLtvLoan(9000000, RBI_LTV_SLABS), 7200000);
+    assert.strictEqual(getMaxLtvLoan(10000000, RBI_LTV_SLABS), 7500000);
+});
+
+test('eligibility reports the binding constraint', () => {
+    const applicant = {
+        monthlyIncome: 150000,
+        coApplicantIncome: 50000,
+        existingEmis: 20000,
+        foir: 50,
+        annualRate: 8.5,
+        age: 40,
+        retirementAge: 60,
+        maxTenureYears: 30,
+        propertyValue: 10000000
+    };
+
+    const byProperty = calculateLoanEligibility(applicant);
+    assert.strictEqual(byProperty.bindingConstraint, 'ltv');
+    assert.strictEqual(byProperty.eligibleLoan, 7500000);
+    assert.strictEqual(byProperty.tenureYears, 20);
+    assert.strictEqual(byProperty.tenureLimit, 'age');
+    assertClose(byProperty.availableEmi, 80000);
+    assertClose(byProperty.incomeLimit, solvePrincipal(80000, 8.5, 20));
+
+    const byIncome = calculateLoanEligibility(Object.assign({}, applicant, { propertyValue: 0, age: 25 }));
+    assert.strictEqual(byIncome.bindingConstraint, 'foir');
+    assert.strictEqual(byIncome.tenureYears, 30);
+    assert.strictEqual(byIncome.tenureLimit, 'lender');
+    assertClose(byIncome.emi, 80000, 1);
+    assertClose(byIncome.foirUsed, 50, 0.01);
+});
+
+test('eligibility throws a RangeError when no loan is possible', () => {
+    const applicant = { monthlyIncome: 100000, foir: 50, annualRate: 8.5, age: 40, retirementAge: 60, maxTenureYears: 30 };
+
+    assert.throws(() => calculateLoanEligibility(Object.assign({}, applicant, { existingEmis: 50000 })), RangeError);
+    assert.throws(() => calculateLoanEligibility(Object.assign({}, applicant, { age: 60 })), RangeError);
+});
+
+test('eligibility without a usable maximum tenure says so', () => {
+    const applicant = { monthlyIncome: 100000, foir: 50, annualRate: 8.5, age: 40, retirementAge: 60 };
+
+    assert.throws(() => calculateLoanEligibility(applicant), { name: 'RangeError', message: /maximum tenure/ });
+    assert.throws(() => calculateLoanEligibility(Object.assign({}, applicant, { maxTenureYears: 'thirty' })), /maximum tenure/);
+    assert.throws(() => calculateLoanEligibility(Object.assign({}, applicant, { maxTenureYears: 0.5 })), /maximum tenure/);
+});
+
+test('calculateXIRR annualizes dated cash flows over 365 days', () => {
+    assertClose(calculateXIRR([
+        { date: new Date(2025, 0, 1), amount: -1000 },
+        { date: new Date(2026, 0, 1), amount: 1100 }
+    ]), 10, 0.0001);
+    assert.throws(() => calculateXIRR([
+        { date: new Date(2025, 0, 1), amount: 1000 },
+        { date: new Date(2026, 0, 1), amount: 1000 }
+    ]), RangeError);
+});
+
+test('without charges the effective rate is the monthly compounded nominal rate', () => {
+    const cost = calculateBorrowingCost(5000000, 8.5, 240, {}, { startDate: JAN_2025 });
+
+    assertClose(cost.effectiveRate, (Math.pow(1 + 0.085 / 12, 12) - 1) * 100, 0.02);
+    assert.strictEqual(cost.totalCharges, 0);
+    assertClose(cost.totalCost, cost.totalInterest);
+});
+
+test('charges raise the effective rate, most on a short loan', () => {
+    const charges = { processingFeePercent: 0.5, stampDuty: 5000, insurancePremium: 100000, annualCharges: 1000 };
+    const plain = calculateBorrowingCost(5000000, 8.5, 240, {}, { startDate: JAN_2025 });
+    const long = calculateBorrowingCost(5000000, 8.5, 240, charges, { startDate: JAN_2025 });
+    const short = calculateBorrowingCost(5000000, 8.5, 60, charges, { startDate: JAN_2025 });
+
+    assert.strictEqual(long.upfrontCharges, 130000);
+    assert.strictEqual(long.recurringCharges, 20000);
+    assertClose(long.totalCost, long.totalInterest + 150000);
+    assert.ok(long.effectiveRate > plain.effectiveRate);
+    assert.ok(short.effectiveRate > long.effectiveRate);
+});
+
+test('financed insurance is added to the loan and its interest to the cost', () => {
+    const upfront = calculateBorrowingCost(5000000, 8.5, 240, { insurancePremium: 100000 }, { startDate: JAN_2025 });
+    const financed = calculateBorrowingCost(5000000, 8.5, 240, { insurancePremium: 100000, insuranceFinanced: true }, { startDate: JAN_2025 });
+
+    assert.strictEqual(financed.loanAmount, 5100000);
+    assertClose(financed.emi, calculateEMI(5100000, 8.5, 20));
+    assert.ok(financed.totalCost > upfront.totalCost);
+    assert.ok(financed.effectiveRate > 8.84);
+});
+
+test('broken-period interest counts towards the effective rate', () => {
+    const calendar = getLoanCalendar(5000000, 8.5, new Date(2025, 0, 10), 5);
+    const cost = calculateBorrowingCost(5000000, 8.5, 240, {}, {
+        startDate: calendar.firstEmiDate,
+        emiDueDay: 5,
+        brokenPeriod: calendar
+    });
+
+    assertClose(cost.totalCharges, calendar.brokenPeriodInterest);
+    assert.ok(cost.effectiveRate > 8.83);
+});
+
+test('annual rest EMI spreads the yearly instalment over 12 months', () => {
+    // ₹1,00,000 at 12% for 1 year: one yearly instalment of ₹1,12,000
+    assertClose(calculateEMI(100000, 12, 1, 'annual'), 112000 / 12);
+    assert.ok(calculateEMI(5000000, 8.5, 20, 'annual') > calculateEMI(5000000, 8.5, 20));
+    assertClose(calculateEMI(5000000, 8.5, 20, 'daily'), calculateEMI(5000000, 8.5, 20));
+});
+
+test('annual rest charges interest on the opening balance of each loan year', () => {
+    const emi = calculateEMI(1200000, 12, 2, 'annual');
+    const schedule = buildAmortizationSchedule(1200000, emi, 0.01, 24, {
+        startDate: JAN_2025,
+        interestMethod: 'annual'
+    });
+
+    assertClose(schedule[0].interest, 12000);
+    assertClose(schedule[11].interest, 12000);
+    assertClose(schedule[12].interest, schedule[11].balance * 0.01);
+    assert.strictEqual(schedule.length, 24);
+    assert.strictEqual(schedule[23].balance, 0);
+    assert.strictEqual(calculateMonthsToClose(1200000, 0.01, emi, 'annual'), 24);
+});
+
+test('daily reducing interest follows the days in each month', () => {
+    const schedule = buildAmortizationSchedule(1000000, 20000, 0.12 / 12, 60, {
+        startDate: new Date(2025, 2, 5),
+        emiDueDay: 5,
+        interestMethod: 'daily'
+    });
+
+    // 5 Feb to 5 Mar 2025 is 28 days, 5 Mar to 5 Apr is 31 days
+    assertClose(schedule[0].interest, 1000000 * 0.12 * 28 / 365);
+    assertClose(schedule[1].interest, schedule[0].balance * 0.12 * 31 / 365);
+});
+
+test('compareInterestMethods reports each method against the selected one', () => {
+    const emi = calculateEMI(5000000, 8.5, 20);
+    const results = compareInterestMethods(5000000, emi, 8.5 / 100 / 12, 240, { startDate: JAN_2025 });
+    const byMethod = {};
+    results.forEach((result) => { byMethod[result.method] = result; });
+
+    assert.deepStrictEqual(results.map((result) => result.method), ['monthly', 'daily', 'annual']);
+    assert.strictEqual(byMethod.monthly.difference, 0);
+    assert.strictEqual(byMethod.monthly.months, 240);
+    // Annual rest reduces the interest-bearing balance late, so the same EMI pays more interest
+    assert.ok(byMethod.annual.difference > 0);
+    assert.ok(byMethod.annual.months > 240);
+    // Daily reducing stays close to monthly rest over a year
+    assert.ok(Math.abs(byMethod.daily.difference) < byMethod.monthly.totalInterest * 0.01);
+});
+
+test('due dates clamp to the last day of short months', () => {
+    assert.strictEqual(getDueDate(2025, 1, 31).getDate(), 28);
+    assert.strictEqual(getDueDate(2024, 1, 31).getDate(), 29);
+    // Month past December rolls into the next year
+    assert.strictEqual(getDueDate(2025, 12, 5).getFullYear(), 2026);
+});
+
+test('broken-period interest covers disbursement to the start of the EMI cycle', () => {
+    const calendar = getLoanCalendar(5000000, 8.5, new Date(2025, 0, 20), 5);
+
+    assert.strictEqual(calendar.cycleStartDate.getTime(), new Date(2025, 1, 5).getTime());
+    assert.strictEqual(calendar.firstEmiDate.getTime(), new Date(2025, 2, 5).getTime());
+    assert.strictEqual(calendar.brokenPeriodDays, 16);
+    assertClose(calendar.brokenPeriodInterest, 5000000 * 0.085 * 16 / 365);
+
+    // Disbursed on the due day: the cycle starts right away
+    const onDueDay = getLoanCalendar(5000000, 8.5, new Date(2025, 0, 5), 5);
+    assert.strictEqual(onDueDay.brokenPeriodDays, 0);
+    assert.strictEqual(onDueDay.brokenPeriodInterest, 0);
+    assert.strictEqual(onDueDay.firstEmiDate.getTime(), new Date(2025, 1, 5).getTime());
+});
+
+test('EMIs paid and the next due date count from the first EMI', () => {
+    const firstEmi = new Date(2025, 2, 5);
+
+    assert.strictEqual(countEmisPaid(firstEmi, 5, new Date(2025, 2, 4)), 0);
+    assert.strictEqual(countEmisPaid(firstEmi, 5, new Date(2025, 2, 5)), 1);
+    assert.strictEqual(countEmisPaid(firstEmi, 5, new Date(2026, 0, 20)), 11);
+    assert.strictEqual(getNextDueDate(5, new Date(2026, 0, 5)).getTime(), new Date(2026, 1, 5).getTime());
+    assert.strictEqual(getNextDueDate(31, new Date(2026, 1, 10)).getTime(), new Date(2026, 1, 28).getTime());
+});
+
+test('schedule rows fall on the EMI due day', () => {
+    const emi = calculateEMI(1000000, 9, 1);
+    const schedule = buildAmortizationSchedule(1000000, emi, 0.09 / 12, 12, {
+        startDate: new Date(2025, 0, 31),
+        emiDueDay: 31
+    });
+
+    assert.strictEqual(schedule[0].date.getDate(), 31);
+    assert.strictEqual(schedule[1].date.getDate(), 28);
+    assert.strictEqual(schedule[2].date.getDate(), 31);
+    assert.strictEqual(schedule[11].monthYear, 'Dec 2025');
+});
+
+test('repayment progress adds up to the loan', () => {
+    const emi = calculateEMI(1000000, 9, 5);
+    const rows = addRepaymentProgress(buildAmortizationSchedule(1000000, emi, 0.0075, 60, {
+        startDate: JAN_2025,
+        prepayments: [{ type: 'once', amount: 100000, month: 12, mode: 'tenure' }]
+    }), 1000000);
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+
+    assertClose(first.principalRepaid, first.principal);
+    assertClose(first.interestRemaining, last.cumulativeInterest - first.interest);
+    assert.strictEqual(rows[11].prepayment, 100000);
+    assertClose(rows[11].principalRepaid + rows[11].balance, 1000000);
+    assertClose(last.principalRepaid, 1000000);
+    assertClose(last.interestRemaining, 0);
+    assertClose(last.percentRepaid, 100);
+});
+
+test('schedules group into calendar and financial years', () => {
+    const emi = calculateEMI(1000000, 9, 2);
+    const rows = addRepaymentProgress(buildAmortizationSchedule(1000000, emi, 0.0075, 24, { startDate: JAN_2025 }), 1000000);
+    const years = groupScheduleByYear(rows, 'year');
+    const financialYears = groupScheduleByYear(rows, 'fy');
+
+    assert.deepStrictEqual(years.map((group) => group.label), ['2025', '2026']);
+    assert.deepStrictEqual(financialYears.map((group) => [group.label, group.months]),
+        [['FY 2024-25', 3], ['FY 2025-26', 12], ['FY 2026-27', 9]]);
+    assertClose(years[0].interest, rows[11].cumulativeInterest);
+    assertClose(years[0].paid, emi * 12);
+    assert.strictEqual(financialYears[1].balance, rows[14].balance);
+    assert.strictEqual(financialYears[1].percentRepaid, rows[14].percentRepaid);
+});
+
+test('portfolio with EMIs only matches the individual schedules', () => {
+    const result = simulatePortfolio(PORTFOLIO, 0, { strategy: 'minimum', startDate: JAN_2025 });
+    const standalone = PORTFOLIO.map((loan) => summarizeSchedule(
+        buildAmortizationSchedule(loan.principal, loan.emi, loan.annualRate / 100 / 12, 0, { startDate: JAN_2025 })
+    ));
+
+    assert.strictEqual(result.debtFree, true);
+    assert.strictEqual(result.months, Math.max(...standalone.map((summary) => summary.months)));
+    assertClose(result.totalInterest, standalone.reduce((sum, summary) => sum + summary.totalInterest, 0), 1);
+    result.loans.forEach((loan, index) => assert.strictEqual(loan.closedMonth, standalone[index].months));
+});
+
+test('avalanche and snowball target different loans first', () => {
+    const avalanche = simulatePortfolio(PORTFOLIO, 10000, { strategy: 'avalanche', startDate: JAN_2025 });
+    const snowball = simulatePortfolio(PORTFOLIO, 10000, { strategy: 'snowball', startDate: JAN_2025 });
+    const minimum = simulatePortfolio(PORTFOLIO, 0, { strategy: 'minimum', startDate: JAN_2025 });
+
+    // Snowball clears the smallest balance (car) first, avalanche the highest rate (top-up)
+    assert.ok(snowball.loans[2].closedMonth < avalanche.loans[2].closedMonth);
+    assert.ok(avalanche.loans[1].closedMonth < snowball.loans[1].closedMonth);
+    assert.ok(avalanche.totalInterest <= snowball.totalInterest);
+    assert.ok(avalanche.months < minimum.months);
+    assert.strictEqual(avalanche.schedule[avalanche.months - 1].balance, 0);
+});
+
+test('custom priority and freed-up EMIs roll into the next loan', () => {
+    const options = { strategy: 'custom', startDate: JAN_2025 };
+    const loans = PORTFOLIO.map((loan, index) => Object.assign({ priority: [2, 3, 1][index] }, loan));
+    const rolled = simulatePortfolio(loans, 5000, options);
+    const notRolled = simulatePortfolio(loans, 5000, Object.assign({ rollFreedEmis: false }, options));
+
+    assert.ok(rolled.loans[2].closedMonth < rolled.loans[1].closedMonth);
+    assert.strictEqual(rolled.loans[2].closedMonth, notRolled.loans[2].closedMonth);
+    assert.ok(rolled.months < notRolled.months);
+    assert.ok(rolled.totalInterest < notRolled.totalInterest);
+    // Every rupee budgeted each month is spent until the last loan closes
+    assertClose(rolled.schedule[60].emi + rolled.schedule[60].prepayment, 30000 + 8000 + 10000 + 5000);
+});
+
+test('calculateSIPReturns matches known maturity values', () => {
+    assertClose(calculateSIPReturns(5000, 12, 120), 1161695.38);
+    assert.strictEqual(calculateSIPReturns(5000, 0, 120), 600000);
+});
+
+test('calculateLumpSumReturns compounds monthly', () => {
+    assertClose(calculateLumpSumReturns(100000, 12, 12), 112682.50);
+    assert.strictEqual(calculateLumpSumReturns(100000, 0, 60), 100000);
+});
+
+test('a flat SIP schedule matches calculateSIPReturns', () => {
+    const plan = buildSIPSchedule(10000, 12, 120, { startDate: JAN_2025 });
+
+    assertClose(plan.maturityValue, calculateSIPReturns(10000, 12, 120));
+    assert.strictEqual(plan.totalInvested, 1200000);
+    assert.strictEqual(plan.years.length, 10);
+    assert.strictEqual(plan.years[9].endMonthYear, 'Dec 2034');
+    assert.strictEqual(plan.realMaturityValue, plan.maturityValue);
+});
+
+test('SIP step-ups apply every 12 months and lump sums compound from their month', () => {
+    const flat = buildSIPSchedule(10000, 12, 36, { startDate: JAN_2025 });
+    const plan = buildSIPSchedule(10000, 12, 36, {
+        startDate: JAN_2025,
+        stepUp: { type: 'percent', value: 10 },
+        lumpSums: [{ month: 13, amount: 100000 }]
+    });
+
+    [10000, 11000, 12100].forEach((instalment, index) => assertClose(plan.years[index].monthlyInstalment, instalment));
+    assertClose(plan.totalInvested, 120000 + 132000 + 145200 + 100000);
+    assert.strictEqual(plan.years[1].lumpSums, 100000);
+    assertClose(plan.rows[11].value, flat.rows[11].value);
+    assert.ok(plan.maturityValue - flat.maturityValue > calculateLumpSumReturns(100000, 12, 24));
+});
+
+test('inflation states the SIP in today\'s money', () => {
+    const plan = buildSIPSchedule(10000, 12, 120, { startDate: JAN_2025, inflationRate: 6 });
+
+    assertClose(plan.realMaturityValue, plan.maturityValue / Math.pow(1.06, 10));
+    assertClose(plan.years[0].realValue, plan.years[0].value / 1.06);
+});
+
+test('solveSIPForGoal finds the SIP that reaches the inflated target', () => {
+    const goal = { targetAmount: 5000000, months: 144, annualRate: 12, inflationRate: 6, existingCorpus: 200000 };
+    const flat = solveSIPForGoal(goal);
+    const stepped = solveSIPForGoal(Object.assign({}, goal, { stepUp: { type: 'percent', value: 10 } }));
+    const fixedStep = solveSIPForGoal(Object.assign({}, goal, { stepUp: { type: 'amount', value: 1000 } }));
+
+    assertClose(flat.futureTarget, 5000000 * Math.pow(1.06, 12));
+    assertClose(flat.existingValue, calculateLumpSumReturns(200000, 12, 144));
+    assertClose(flat.maturityValue, flat.futureTarget);
+    assertClose(calculateSIPReturns(flat.requiredSip, 12, 144) + flat.existingValue, flat.futureTarget);
+    assertClose(stepped.maturityValue, stepped.futureTarget);
+    assertClose(fixedStep.maturityValue, fixedStep.futureTarget);
+    assert.ok(stepped.requiredSip < flat.requiredSip && stepped.finalSip > flat.requiredSip);
+    assertClose(fixedStep.finalSip, fixedStep.requiredSip + 11000);
+});
+
+test('the goal planner solves capped step-ups too', () => {
+    const stepUp = { type: 'percent', value: 10, cap: 20000 };
+    const capped = solveSIPForGoal({ targetAmount: 5000000, months: 144, annualRate: 12, stepUp: stepUp });
+    const uncapped = solveSIPForGoal({ targetAmount: 5000000, months: 144, annualRate: 12, stepUp: { type: 'percent', value: 10 } });
+
+    assertClose(capped.maturityValue, capped.futureTarget, 1);
+    assertClose(buildSIPSchedule(capped.requiredSip, 12, 144, { stepUp: stepUp }).maturityValue, 5000000, 1);
+    assert.strictEqual(capped.finalSip, 20000);
+    assert.ok(capped.requiredSip > uncapped.requiredSip);
+});
+
+test('existing investments can cover a goal and impossible goals throw a RangeError', () => {
+    const covered = solveSIPForGoal({ targetAmount: 100000, months: 60, annualRate: 8, existingCorpus: 100000 });
+
+    assert.strictEqual(covered.requiredSip, 0);
+    assert.strictEqual(covered.covered, true);
+    assert.throws(() => solveSIPForGoal({ targetAmount: 100000, months: 0, annualRate: 8 }), RangeError);
+    assert.throws(() => solveSIPForGoal({ targetAmount: 0, months: 60, annualRate: 8 }), RangeError);
+});
+
+test('a SIP simulation is reproducible from its seed and ordered by percentile', () => {
+    const options = { annualReturn: 12, volatility: 15, simulations: 500, seed: 42, target: 2500000 };
+    const first = simulateSIPReturns(10000, 120, options);
+    const again = simulateSIPReturns(10000, 120, options);
+    const other = simulateSIPReturns(10000, 120, Object.assign({}, options, { seed: 7 }));
+
+    assert.deepStrictEqual(again, first);
+    assert.notStrictEqual(other.p50, first.p50);
+    assert.ok(first.p10 < first.p50 && first.p50 < first.p90);
+    assert.ok(first.probabilityOfTarget > 0 && first.probabilityOfTarget < 100);
+    assert.strictEqual(first.years.length, 10);
+    assert.strictEqual(first.years[9].p50, first.p50);
+    assert.strictEqual(first.totalInvested, 1200000);
+});
+
+test('a SIP simulation without volatility matches the constant-return projection', () => {
+    const steady = simulateSIPReturns(10000, 120, { annualReturn: 12, simulations: 3, stepUp: { type: 'percent', value: 10 } });
+    const history = simulateSIPReturns(10000, 24, { historicalReturns: [8, 8], simulations: 10 });
+
+    assertClose(steady.p10, buildSIPSchedule(10000, 12, 120, { stepUp: { type: 'percent', value: 10 } }).maturityValue);
+    assertClose(steady.p90, steady.p10);
+    assert.strictEqual(steady.probabilityOfTarget, null);
+    // Every simulated year replays the same 8% year
+    assertClose(history.p50, calculateSIPReturns(10000, (Math.pow(1.08, 1 / 12) - 1) * 1200, 24));
+    assert.throws(() => simulateSIPReturns(10000, 120, { volatility: -5 }), RangeError);
+    assert.throws(() => simulateSIPReturns(10000, 120, { simulations: 0 }), RangeError);
+    assert.throws(() => simulateSIPReturns(10000, 120, { historicalReturns: [10, -100] }), RangeError);
+});
+
+test('investing the surplus grows like a SIP while the loan runs', () => {
+    const loan = { principal: 3000000, annualRate: 8.5, emi: 30000 };
+    const result = comparePrepayVsInvest(loan, 10000, { annualReturn: 12, horizonMonths: 60, startDate: JAN_2025 });
+    const last = result.rows[59];
+
+    assert.strictEqual(result.horizonMonths, 60);
+    assertClose(last.investCorpus, calculateSIPReturns(10000, 12, 60));
+    assert.strictEqual(last.prepayCorpus, 0);
+    assert.ok(last.prepayBalance < last.investBalance);
+});
+
+test('prepaying wins when returns are below the loan rate and investing wins above it', () => {
+    const loan = { principal: 3000000, annualRate: 8.5, emi: 30000 };
+    const low = comparePrepayVsInvest(loan, 10000, { annualReturn: 6, startDate: JAN_2025 });
+    const high = comparePrepayVsInvest(loan, 10000, { annualReturn: 12, startDate: JAN_2025 });
+
+    assert.strictEqual(low.winner, 'prepay');
+    assert.strictEqual(high.winner, 'invest');
+    assert.ok(high.prepay.closedMonth < high.horizonMonths);
+    // Investments catch up with the balance still owed before the loan would close
+    assert.ok(high.coversLoanMonth < high.horizonMonths);
+    assertClose(low.breakEvenReturn, high.breakEvenReturn, 0.001);
+    assert.ok(low.breakEvenReturn > 6 && low.breakEvenReturn < 12);
+});
+
+test('tax on gains and interest deductions move the break-even return', () => {
+    const loan = { principal: 3000000, annualRate: 8.5, emi: 30000 };
+    const plain = comparePrepayVsInvest(loan, 10000, { annualReturn: 10 });
+    const taxedGains = comparePrepayVsInvest(loan, 10000, { annualReturn: 10, gainsTaxRate: 20 });
+    const deductible = comparePrepayVsInvest(loan, 10000, { annualReturn: 10, interestTaxRate: 30, interestDeductionCap: 200000 });
+
+    assert.ok(taxedGains.breakEvenReturn > plain.breakEvenReturn);
+    assert.ok(deductible.breakEvenReturn < plain.breakEvenReturn);
+    assert.ok(deductible.invest.taxSaved > deductible.prepay.taxSaved);
+});
+
+test('net worth crossover marks where the leading path changes', () => {
+    const loan = { principal: 3000000, annualRate: 8.5, emi: 30000 };
+    const result = comparePrepayVsInvest(loan, 10000, { annualReturn: 9.5, gainsTaxRate: 20, startDate: JAN_2025 });
+    const before = result.rows[result.crossoverMonth - 2];
+    const after = result.rows[result.crossoverMonth - 1];
+
+    // Investing leads early on, but tax on the growing gains lets prepaying overtake
+    assert.strictEqual(result.winner, 'prepay');
+    assert.ok(before.investNetWorth > before.prepayNetWorth);
+    assert.ok(after.investNetWorth < after.prepayNetWorth);
+    assert.strictEqual(result.crossoverMonthYear, after.monthYear);
+});
+
+test('prepay vs invest repays the loan on its own schedule terms', () => {
+    const loan = { principal: 3000000, annualRate: 8.5, emi: 30000 };
+    const terms = {
+        startDate: JAN_2025,
+        rateChanges: [{ from: '2026-01', rate: 10.5, mode: 'keep-emi' }],
+        interestMethod: 'daily',
+        rounding: { emi: 'up', precision: 'rupee' }
+    };
+    const plain = comparePrepayVsInvest(loan, 10000, { annualReturn: 10, startDate: JAN_2025 });
+    const revised = comparePrepayVsInvest(loan, 10000, Object.assign({ annualReturn: 10 }, terms));
+    const schedule = buildAmortizationSchedule(loan.principal, loan.emi, 8.5 / 1200, 175, terms);
+
+    assert.strictEqual(revised.horizonMonths, schedule.length);
+    assert.strictEqual(revised.invest.totalInterest, summarizeSchedule(schedule).totalInterest);
+    // The revised rate, not the starting one, is what investing has to beat
+    assert.ok(revised.breakEvenReturn > plain.breakEvenReturn);
+    assert.ok(revised.breakEvenReturn > 10 && revised.breakEvenReturn < 10.5);
+});
+
+test('switching to a lower rate closes sooner on the same EMI and lowers the EMI on the same tenure', () => {
+    const loan = { principal: 4000000, annualRate: 9.5, emi: 40000 };
+    const result = compareRefinance(loan, { annualRate: 8.5, processingFeePercent: 0.5, charges: 10000 }, { startDate: JAN_2025 });
+
+    assert.strictEqual(result.fees, 30000);
+    assert.ok(result.sameEmi.months < result.current.months);
+    assert.strictEqual(result.sameTenure.months, result.current.months);
+    assert.ok(result.sameTenure.emi < loan.emi);
+    assertClose(result.sameEmi.netSavings, result.current.totalInterest - result.sameEmi.totalInterest - 30000);
+    assert.strictEqual(result.recommended, 'same-emi');
+});
+
+test('fees delay the break-even month and a small rate cut never pays for them', () => {
+    const loan = { principal: 4000000, annualRate: 9.5, emi: 40000 };
+    const cheap = compareRefinance(loan, { annualRate: 8.5, processingFeePercent: 0 });
+    const costly = compareRefinance(loan, { annualRate: 8.5, processingFeePercent: 1, charges: 25000 });
+    const marginal = compareRefinance(loan, { annualRate: 9.4, processingFeePercent: 3, charges: 25000 });
+
+    assert.strictEqual(cheap.sameTenure.breakEvenMonth, 1);
+    assert.ok(costly.sameTenure.breakEvenMonth > cheap.sameTenure.breakEvenMonth);
+    assert.ok(marginal.sameTenure.netSavings < 0);
+    assert.strictEqual(marginal.sameTenure.breakEvenMonth, null);
+    assert.strictEqual(marginal.recommended, null);
+});
+
+test('a top-up is transferred with the loan and its interest counts against the savings', () => {
+    const loan = { principal: 4000000, annualRate: 9.5, emi: 40000 };
+    const plain = compareRefinance(loan, { annualRate: 8.5, processingFeePercent: 0.5 });
+    const topUp = compareRefinance(loan, { annualRate: 8.5, processingFeePercent: 0.5, topUp: 500000 });
+    const unaffordable = compareRefinance(loan, { annualRate: 8.5, topUp: 2000000 });
+
+    assert.strictEqual(topUp.transferAmount, 4500000);
+    assert.strictEqual(topUp.processingFee, 22500);
+    assert.ok(topUp.sameTenure.emi > loan.emi);
+    assert.ok(topUp.sameTenure.netSavings < plain.sameTenure.netSavings);
+    // The current EMI no longer covers the interest on 60 lakh at 8.5%
+    assert.strictEqual(unaffordable.sameEmi, null);
+});
+
+const APR_2025 = new Date(2025, 3, 1);
+
+function buildHomeLoan(startDate) {
+    const emi = calculateEMI(5000000, 8.5, 20);
+    return buildAmortizationSchedule(5000000, emi, 8.5 / 100 / 12, 240, { startDate: startDate });
+}
+
+test('financial years run from April to March', () => {
+    assert.deepStrictEqual(getFinancialYear(new Date(2025, 2, 1)), { startYear: 2024, label: 'FY 2024-25' });
+    assert.deepStrictEqual(getFinancialYear(new Date(2025, 3, 1)), { startYear: 2025, label: 'FY 2025-26' });
+
+    const tax = calculateTaxBenefits(buildHomeLoan(JAN_2025));
+    assert.strictEqual(tax.years[0].label, 'FY 2024-25');
+    assert.strictEqual(tax.years[0].months, 3);
+    assert.strictEqual(tax.years[1].months, 12);
+    assert.strictEqual(tax.years.reduce((sum, year) => sum + year.months, 0), 240);
+});
+
+test('old regime self-occupied caps interest at 2 lakh and principal at 1.5 lakh', () => {
+    const tax = calculateTaxBenefits(buildHomeLoan(APR_2025), {
+        borrowers: [{ name: 'A', share: 100, taxSlab: 30, other80C: 50000 }]
+    });
+    const first = tax.years[0];
+
+    assert.ok(first.interest > 200000);
+    assert.strictEqual(first.interestDeduction, 200000);
+    // 80C room is what PF and other investments leave
+    assert.strictEqual(first.principalDeduction, Math.min(first.principal, 100000));
+    assertClose(first.taxSaved, (200000 + first.principalDeduction) * 0.3);
+    assert.ok(tax.postTaxEffectiveRate < 8.5);
+    assertClose(tax.averageRate, 8.5);
+});
+
+test('joint borrowers each claim their own limits', () => {
+    const schedule = buildHomeLoan(APR_2025);
+    const single = calculateTaxBenefits(schedule);
+    const joint = calculateTaxBenefits(schedule, {
+        borrowers: [
+            { name: 'A', share: 50, taxSlab: 30, other80C: 0 },
+            { name: 'B', share: 50, taxSlab: 20, other80C: 0 }
+        ]
+    });
+
+    // ₹4.2L of first-year interest: one cap of ₹2L for each borrower
+    assert.strictEqual(joint.years[0].interestDeduction, 400000);
+    assert.ok(joint.interestDeduction > single.interestDeduction);
+    assertClose(joint.borrowers[0].interestDeduction, joint.borrowers[1].interestDeduction);
+    assert.ok(joint.borrowers[0].taxSaved > joint.borrowers[1].taxSaved);
+});
+
+test('new regime only allows interest against rent from a let-out property', () => {
+    const schedule = buildHomeLoan(APR_2025);
+    const selfOccupied = calculateTaxBenefits(schedule, { regime: 'new' });
+    const letOut = calculateTaxBenefits(schedule, { regime: 'new', occupancy: 'let-out', annualRent: 240000 });
+    const letOutOld = calculateTaxBenefits(schedule, { regime: 'old', occupancy: 'let-out', annualRent: 240000 });
+
+    assert.strictEqual(selfOccupied.taxSaved, 0);
+    assertClose(letOut.years[0].interestDeduction, 240000 * 0.7);
+    assert.strictEqual(letOut.principalDeduction, 0);
+    assertClose(letOutOld.years[0].interestDeduction, Math.min(letOutOld.years[0].interest, 240000 * 0.7 + 200000));
+});
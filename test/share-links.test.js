@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const LoanEngine = require('../loan-engine.js');
+
+// script.js only touches the page inside functions and load handlers, so an empty
+// page is enough to reach the share link codecs
+function loadPageScript() {
+    const page = {
+        LoanEngine: LoanEngine,
+        console: console,
+        localStorage: { getItem: () => null, setItem: () => {} },
+        document: { querySelectorAll: () => [], addEventListener: () => {} }
+    };
+    page.window = page;
+    vm.createContext(page);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8'), page);
+    return page;
+}
+
+const page = loadPageScript();
+
+// Objects made inside the page have its prototypes, so compare them as plain data
+function fromPage(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+test('rate revisions survive a share link round trip, including 0%', () => {
+    const revisions = [
+        { from: '2026-04', rate: 8.75, mode: 'keep-emi' },
+        { from: '2027-01', rate: 0, mode: 'keep-tenure' }
+    ];
+    const encoded = page.encodeRateRevisions(revisions);
+
+    assert.strictEqual(encoded, '2026-04:8.75:keep-emi,2027-01:0:keep-tenure');
+    assert.deepStrictEqual(fromPage(page.decodeRateRevisions(encoded)), revisions);
+});
+
+test('rate revisions without a month or rate are left out of share links', () => {
+    const encoded = page.encodeRateRevisions([
+        { from: '2026-04', rate: null, mode: 'keep-emi' },
+        { from: '', rate: 9, mode: 'keep-emi' },
+        { from: '2026-06', rate: 9.1, mode: 'keep-emi' }
+    ]);
+
+    assert.strictEqual(encoded, '2026-06:9.1:keep-emi');
+    assert.deepStrictEqual(fromPage(page.decodeRateRevisions('2026-04::keep-emi,bad:9:keep-emi')), []);
+});
+
+test('imported scenario lists are held to the share link rules', () => {
+    const library = page.migrateScenarioLibrary({
+        version: 2,
+        scenarios: [{
+            id: 'sabc123',
+            tab: 'tab2',
+            name: 'Imported',
+            inputs: { currentPrincipal: '1000000', injected: { toString: null } },
+            extras: {
+                rateRevisions: [{ from: '"><img src=x onerror=alert(1)>', rate: 9, mode: 'keep-emi' }, { from: '2026-04', rate: 8.5, mode: 'keep-emi' }],
+                prepayments: [{ type: 'weekly', amount: '50000', month: 'x', calendarMonth: 3, mode: 'emi' }, { type: 'once', amount: '50000"><b>', month: 2 }]
+            }
+        }, {
+            id: 'sdef456',
+            tab: 'tab4',
+            inputs: {},
+            extras: { lumpSums: 'not a list', goals: [null] }
+        }]
+    });
+    const [loan, sip] = fromPage(library.scenarios);
+
+    assert.deepStrictEqual(loan.inputs, { currentPrincipal: '1000000' });
+    assert.deepStrictEqual(loan.extras.rateRevisions, [{ from: '2026-04', rate: 8.5, mode: 'keep-emi' }]);
+    assert.deepStrictEqual(loan.extras.prepayments, [{ type: 'once', amount: 50000, month: 1, calendarMonth: 3, mode: 'emi' }]);
+    assert.deepStrictEqual(sip.extras, { lumpSums: [], goals: [] });
+});